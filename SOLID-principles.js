@@ -273,3 +273,180 @@ class Switch {
     this.device.turnOn();
   }
 }
+
+// Dependency injection container: generalizes passing a Device into Switch by hand
+const Lifetime = Object.freeze({
+  SINGLETON: "singleton", // one instance for the container and all its scopes
+  TRANSIENT: "transient", // a new instance on every resolve
+  SCOPED: "scoped", // one instance per scope
+});
+
+class CircularDependencyError extends Error {
+  constructor(path) {
+    super(`Circular dependency detected: ${path.map(tokenName).join(" -> ")}`);
+    this.name = "CircularDependencyError";
+    this.path = path;
+  }
+}
+
+function tokenName(token) {
+  if (typeof token === "function") return token.name || "(anonymous)";
+  return String(token);
+}
+
+class Container {
+  constructor(parent = null) {
+    this.parent = parent;
+    this.registrations = new Map();
+    this.instances = new Map(); // cached singleton/scoped instances
+  }
+
+  // Class provider: dependencies come from `deps` or a static `inject` list
+  registerClass(token, Class, { lifetime = Lifetime.TRANSIENT, deps } = {}) {
+    return this.register(token, {
+      lifetime,
+      deps: deps || Class.inject || [],
+      create: (args) => new Class(...args),
+    });
+  }
+
+  // Factory provider: the factory receives its resolved dependencies
+  registerFactory(
+    token,
+    factory,
+    { lifetime = Lifetime.TRANSIENT, deps = [] } = {}
+  ) {
+    return this.register(token, {
+      lifetime,
+      deps,
+      create: (args) => factory(...args),
+    });
+  }
+
+  registerValue(token, value) {
+    return this.register(token, {
+      lifetime: Lifetime.SINGLETON,
+      deps: [],
+      create: () => value,
+    });
+  }
+
+  register(token, { lifetime, deps, create }) {
+    if (!Object.values(Lifetime).includes(lifetime)) {
+      throw new Error(`Unknown lifetime "${lifetime}" for ${tokenName(token)}`);
+    }
+    this.registrations.set(token, { lifetime, deps, create, owner: this });
+    return this;
+  }
+
+  has(token) {
+    return this.findRegistration(token) !== null;
+  }
+
+  createScope() {
+    return new Container(this);
+  }
+
+  resolve(token) {
+    return this.resolveWithPath(token, []);
+  }
+
+  resolveWithPath(token, path) {
+    if (path.includes(token)) {
+      throw new CircularDependencyError([
+        ...path.slice(path.indexOf(token)),
+        token,
+      ]);
+    }
+    const registration = this.findRegistration(token);
+    if (!registration) {
+      const chain = [...path, token].map(tokenName).join(" -> ");
+      throw new Error(
+        `No provider registered for ${tokenName(token)} (${chain})`
+      );
+    }
+
+    const cacheOwner = this.cacheOwnerFor(registration);
+    if (cacheOwner && cacheOwner.instances.has(token)) {
+      return cacheOwner.instances.get(token);
+    }
+
+    const resolver = cacheOwner || this;
+    const nextPath = [...path, token];
+    const args = registration.deps.map((dep) =>
+      resolver.resolveWithPath(dep, nextPath)
+    );
+    const instance = registration.create(args);
+    if (cacheOwner) {
+      cacheOwner.instances.set(token, instance);
+    }
+    return instance;
+  }
+
+  // Singletons live in the container that registered them, so they never
+  // capture dependencies from a short-lived child scope
+  cacheOwnerFor(registration) {
+    switch (registration.lifetime) {
+      case Lifetime.SINGLETON:
+        return registration.owner;
+      case Lifetime.SCOPED:
+        return this;
+      default:
+        return null;
+    }
+  }
+
+  findRegistration(token) {
+    for (let container = this; container; container = container.parent) {
+      if (container.registrations.has(token)) {
+        return container.registrations.get(token);
+      }
+    }
+    return null;
+  }
+}
+
+console.log("--- Dependency injection container ---");
+const container = new Container();
+container.registerClass("Device", LightBulb, { lifetime: Lifetime.SINGLETON });
+container.registerClass(Switch, Switch, { deps: ["Device"] });
+
+const resolvedSwitch = container.resolve(Switch);
+resolvedSwitch.operate();
+console.log(
+  "Switch got a LightBulb:",
+  resolvedSwitch.device instanceof LightBulb
+);
+console.log(
+  "Device is shared:",
+  container.resolve(Switch).device === resolvedSwitch.device
+);
+
+// Scoped registrations get one instance per child scope
+container.registerFactory(
+  "RequestId",
+  () => Math.random().toString(36).slice(2),
+  {
+    lifetime: Lifetime.SCOPED,
+  }
+);
+const requestScope = container.createScope();
+console.log(
+  "Same RequestId within a scope:",
+  requestScope.resolve("RequestId") === requestScope.resolve("RequestId")
+);
+console.log(
+  "Different RequestId across scopes:",
+  requestScope.resolve("RequestId") !==
+    container.createScope().resolve("RequestId")
+);
+
+// Cycles are reported with the full path
+container.registerFactory("A", (b) => ({ b }), { deps: ["B"] });
+container.registerFactory("B", (c) => ({ c }), { deps: ["C"] });
+container.registerFactory("C", (a) => ({ a }), { deps: ["A"] });
+try {
+  container.resolve("A");
+} catch (error) {
+  console.log("Error:", error.message);
+}
@@ -15,6 +15,14 @@
  * - Separates object creation code from object usage code
  * - Provides hook methods for subclasses to extend
  * - Follows Single Responsibility Principle
+ *
+ * Abstract Factory builds on the same idea for families of related products:
+ * each concrete family factory creates a Vehicle, an Engine and a
+ * ChargingOrFuelUnit that are guaranteed to work together.
+ *
+ * Creators also offer createVehicleAsync() for products that need I/O to
+ * build, and VehiclePool can sit in front of any concrete creator to reuse
+ * vehicles instead of building a new one for every borrower.
  */
 
 // Product interface
@@ -23,11 +31,21 @@ class Vehicle {
     if (this.constructor === Vehicle) {
       throw new Error("Abstract class cannot be instantiated");
     }
+    this.driver = null;
   }
 
   getType() {
     throw new Error("getType() method must be implemented");
   }
+
+  assignDriver(driver) {
+    this.driver = driver;
+  }
+
+  // Called by VehiclePool so one borrower's state never leaks to the next
+  reset() {
+    this.driver = null;
+  }
 }
 
 // Concrete products
@@ -43,6 +61,58 @@ class Bike extends Vehicle {
   }
 }
 
+class TimeoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TimeoutError";
+  }
+}
+
+// Runs task(signal), rejecting on timeout or when the caller's signal aborts.
+// The signal passed to the task is aborted in both cases so it can stop its I/O.
+function runWithDeadline(task, { timeout, signal, label }) {
+  if (signal && signal.aborted) {
+    return Promise.reject(signal.reason);
+  }
+  const controller = new AbortController();
+  return new Promise((resolve, reject) => {
+    let timer = null;
+    const cleanup = () => {
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener("abort", onAbort);
+      }
+    };
+    const fail = (error) => {
+      cleanup();
+      controller.abort(error);
+      reject(error);
+    };
+    const onAbort = () => fail(signal.reason);
+
+    if (signal) {
+      signal.addEventListener("abort", onAbort, { once: true });
+    }
+    if (timeout !== undefined) {
+      timer = setTimeout(
+        () => fail(new TimeoutError(`${label} timed out after ${timeout}ms`)),
+        timeout
+      );
+    }
+    // Started synchronously so the task sees an abort that happens right after
+    new Promise((resolveTask) => resolveTask(task(controller.signal))).then(
+      (value) => {
+        cleanup();
+        resolve(value);
+      },
+      (error) => {
+        cleanup();
+        reject(error);
+      }
+    );
+  });
+}
+
 // Creator interface
 class VehicleFactory {
   constructor() {
@@ -54,6 +124,19 @@ class VehicleFactory {
   createVehicle() {
     throw new Error("createVehicle() method must be implemented");
   }
+
+  // Hook for creators that need I/O; the default just builds synchronously
+  async loadVehicle(signal) {
+    return this.createVehicle();
+  }
+
+  createVehicleAsync({ timeout, signal } = {}) {
+    return runWithDeadline((taskSignal) => this.loadVehicle(taskSignal), {
+      timeout,
+      signal,
+      label: `${this.constructor.name}.createVehicleAsync()`,
+    });
+  }
 }
 
 // Concrete creators
@@ -69,6 +152,481 @@ class BikeFactory extends VehicleFactory {
   }
 }
 
+// Object pool around any concrete creator
+class VehiclePool {
+  constructor(
+    factory,
+    {
+      min = 0,
+      max = 10,
+      idleTimeout = 30000,
+      acquireTimeout,
+      createTimeout,
+    } = {}
+  ) {
+    if (!(factory instanceof VehicleFactory)) {
+      throw new Error("VehiclePool needs a VehicleFactory");
+    }
+    if (!(min >= 0 && max >= 1 && min <= max)) {
+      throw new Error(`Invalid pool size: min ${min}, max ${max}`);
+    }
+    this.factory = factory;
+    this.min = min;
+    this.max = max;
+    this.idleTimeout = idleTimeout;
+    this.acquireTimeout = acquireTimeout;
+    this.createTimeout = createTimeout;
+
+    this.idle = []; // { vehicle, since }, oldest first
+    this.inUse = new Set();
+    this.waiters = []; // { resolve, reject, cancelled }
+    this.pending = 0; // creations in flight
+    this.closed = false;
+    this.counters = {
+      created: 0,
+      destroyed: 0,
+      acquired: 0,
+      released: 0,
+      timeouts: 0,
+    };
+
+    this.evictionTimer = setInterval(
+      () => this.evictIdle(),
+      Math.max(10, idleTimeout / 2)
+    );
+    this.evictionTimer.unref();
+  }
+
+  get size() {
+    return this.idle.length + this.inUse.size + this.pending;
+  }
+
+  // Pre-creates the minimum number of vehicles
+  async start() {
+    const missing = Math.max(0, this.min - this.size);
+    await Promise.all(
+      Array.from({ length: missing }, async () => {
+        const vehicle = await this.create();
+        this.idle.push({ vehicle, since: Date.now() });
+      })
+    );
+    return this;
+  }
+
+  async acquire({ timeout = this.acquireTimeout, signal } = {}) {
+    if (this.closed) {
+      throw new Error("VehiclePool is closed");
+    }
+    const entry = this.idle.pop();
+    if (entry) {
+      return this.lend(entry.vehicle);
+    }
+    const options = { timeout, signal, label: "VehiclePool.acquire()" };
+    if (this.size < this.max) {
+      // The creation outlives a caller that gives up; its vehicle goes idle
+      const creating = this.create();
+      return runWithDeadline(() => creating, options).then(
+        (vehicle) => this.lend(vehicle),
+        (error) => {
+          creating.then(
+            (vehicle) => this.keepIdle(vehicle),
+            () => {}
+          );
+          this.countTimeout(error);
+          throw error;
+        }
+      );
+    }
+    return runWithDeadline(
+      (waitSignal) =>
+        new Promise((resolve, reject) => {
+          const waiter = { resolve, reject, cancelled: false };
+          this.waiters.push(waiter);
+          // Gave up on timeout or abort: leave the queue so no vehicle is
+          // handed to a caller that is no longer listening
+          waitSignal.addEventListener("abort", () => {
+            waiter.cancelled = true;
+            this.waiters = this.waiters.filter((other) => other !== waiter);
+          });
+        }),
+      options
+    ).catch((error) => {
+      this.countTimeout(error);
+      throw error;
+    });
+  }
+
+  countTimeout(error) {
+    if (error instanceof TimeoutError) {
+      this.counters.timeouts++;
+    }
+  }
+
+  release(vehicle) {
+    if (!this.inUse.delete(vehicle)) {
+      throw new Error("Vehicle was not acquired from this pool");
+    }
+    this.counters.released++;
+    try {
+      vehicle.reset();
+    } catch (error) {
+      // A vehicle that cannot be reset is not safe to hand out again
+      this.counters.destroyed++;
+      this.fillWaiters();
+      return;
+    }
+    if (this.closed) {
+      this.counters.destroyed++;
+      return;
+    }
+    this.idle.push({ vehicle, since: Date.now() });
+    this.serveWaiters();
+  }
+
+  stats() {
+    return {
+      size: this.size,
+      idle: this.idle.length,
+      inUse: this.inUse.size,
+      pending: this.pending,
+      waiting: this.waiters.length,
+      min: this.min,
+      max: this.max,
+      ...this.counters,
+    };
+  }
+
+  // Drops vehicles idle for longer than idleTimeout, keeping at least min
+  evictIdle(now = Date.now()) {
+    while (
+      this.idle.length > 0 &&
+      this.size > this.min &&
+      now - this.idle[0].since >= this.idleTimeout
+    ) {
+      this.idle.shift();
+      this.counters.destroyed++;
+    }
+  }
+
+  close() {
+    this.closed = true;
+    clearInterval(this.evictionTimer);
+    this.counters.destroyed += this.idle.length;
+    this.idle = [];
+    const error = new Error("VehiclePool is closed");
+    this.waiters.splice(0).forEach((waiter) => waiter.reject(error));
+  }
+
+  async create({ signal } = {}) {
+    this.pending++;
+    let vehicle;
+    try {
+      vehicle = await this.factory.createVehicleAsync({
+        timeout: this.createTimeout,
+        signal,
+      });
+    } catch (error) {
+      this.pending--;
+      // The failed slot is free again for callers queued in acquire()
+      if (!this.closed) {
+        this.fillWaiters();
+      }
+      throw error;
+    }
+    this.pending--;
+    this.counters.created++;
+    return vehicle;
+  }
+
+  lend(vehicle) {
+    this.inUse.add(vehicle);
+    this.counters.acquired++;
+    return vehicle;
+  }
+
+  // Hands idle vehicles to callers still waiting in acquire()
+  serveWaiters() {
+    while (this.waiters.length > 0 && this.idle.length > 0) {
+      const waiter = this.waiters.shift();
+      const { vehicle } = this.idle.pop();
+      this.lend(vehicle);
+      waiter.resolve(vehicle);
+    }
+  }
+
+  // Parks a vehicle nobody is waiting for any more
+  keepIdle(vehicle) {
+    if (this.closed) {
+      this.counters.destroyed++;
+      return;
+    }
+    this.idle.push({ vehicle, since: Date.now() });
+    this.serveWaiters();
+  }
+
+  // Creates vehicles for waiters when capacity was freed without a release
+  fillWaiters() {
+    while (this.waiters.length > 0 && this.size < this.max) {
+      const waiter = this.waiters.shift();
+      this.create().then(
+        (vehicle) => {
+          if (waiter.cancelled) {
+            this.keepIdle(vehicle);
+          } else {
+            waiter.resolve(this.lend(vehicle));
+          }
+        },
+        (error) => waiter.reject(error)
+      );
+    }
+  }
+}
+
+// Abstract Factory: product interfaces for the rest of a vehicle family
+class Engine {
+  constructor() {
+    if (this.constructor === Engine) {
+      throw new Error("Abstract class cannot be instantiated");
+    }
+  }
+
+  getType() {
+    throw new Error("getType() method must be implemented");
+  }
+
+  getFamily() {
+    throw new Error("getFamily() method must be implemented");
+  }
+}
+
+class ChargingOrFuelUnit {
+  constructor() {
+    if (this.constructor === ChargingOrFuelUnit) {
+      throw new Error("Abstract class cannot be instantiated");
+    }
+  }
+
+  getType() {
+    throw new Error("getType() method must be implemented");
+  }
+
+  getFamily() {
+    throw new Error("getFamily() method must be implemented");
+  }
+}
+
+// Concrete family products
+class ElectricCar extends Car {
+  getType() {
+    return "Electric Car";
+  }
+
+  getFamily() {
+    return "electric";
+  }
+}
+
+class ElectricMotor extends Engine {
+  getType() {
+    return "Electric Motor";
+  }
+
+  getFamily() {
+    return "electric";
+  }
+}
+
+class ChargingPort extends ChargingOrFuelUnit {
+  getType() {
+    return "Charging Port";
+  }
+
+  getFamily() {
+    return "electric";
+  }
+}
+
+class PetrolCar extends Car {
+  getType() {
+    return "Petrol Car";
+  }
+
+  getFamily() {
+    return "petrol";
+  }
+}
+
+class CombustionEngine extends Engine {
+  getType() {
+    return "Combustion Engine";
+  }
+
+  getFamily() {
+    return "petrol";
+  }
+}
+
+class FuelTank extends ChargingOrFuelUnit {
+  getType() {
+    return "Fuel Tank";
+  }
+
+  getFamily() {
+    return "petrol";
+  }
+}
+
+// Products every family must provide, with the interface each must implement
+const FAMILY_PRODUCTS = [
+  { key: "vehicle", name: "Vehicle", method: "createVehicle", type: Vehicle },
+  { key: "engine", name: "Engine", method: "createEngine", type: Engine },
+  {
+    key: "chargingOrFuelUnit",
+    name: "ChargingOrFuelUnit",
+    method: "createChargingOrFuelUnit",
+    type: ChargingOrFuelUnit,
+  },
+];
+
+// Abstract factory interface: a VehicleFactory that makes a whole family
+class VehicleFamilyFactory extends VehicleFactory {
+  constructor() {
+    super();
+    if (this.constructor === VehicleFamilyFactory) {
+      throw new Error("Abstract class cannot be instantiated");
+    }
+    this.assertComplete();
+  }
+
+  getFamily() {
+    throw new Error("getFamily() method must be implemented");
+  }
+
+  createEngine() {
+    throw new Error("createEngine() method must be implemented");
+  }
+
+  createChargingOrFuelUnit() {
+    throw new Error("createChargingOrFuelUnit() method must be implemented");
+  }
+
+  // Fails fast when a concrete family forgets one of its products
+  assertComplete() {
+    const missing = FAMILY_PRODUCTS.filter(
+      ({ method }) =>
+        this[method] === VehicleFactory.prototype[method] ||
+        this[method] === VehicleFamilyFactory.prototype[method]
+    ).map(({ name, method }) => `${name} (${method}())`);
+    if (missing.length > 0) {
+      throw new Error(
+        `${this.constructor.name} is missing products: ${missing.join(", ")}`
+      );
+    }
+  }
+
+  // Creates every product of the family and checks they belong together
+  createFamily() {
+    const family = this.getFamily();
+    const products = {};
+    for (const { key, name, method, type } of FAMILY_PRODUCTS) {
+      const product = this[method]();
+      if (!(product instanceof type)) {
+        throw new Error(
+          `${this.constructor.name}.${method}() must return a ${name}`
+        );
+      }
+      const productFamily =
+        typeof product.getFamily === "function" ? product.getFamily() : null;
+      if (productFamily !== family) {
+        throw new Error(
+          `Incompatible products in ${this.constructor.name}: ` +
+            `${product.getType()} belongs to "${productFamily}", expected "${family}"`
+        );
+      }
+      products[key] = product;
+    }
+    return products;
+  }
+}
+
+// Concrete family factories
+class ElectricVehicleFactory extends VehicleFamilyFactory {
+  getFamily() {
+    return "electric";
+  }
+
+  createVehicle() {
+    return new ElectricCar();
+  }
+
+  createEngine() {
+    return new ElectricMotor();
+  }
+
+  createChargingOrFuelUnit() {
+    return new ChargingPort();
+  }
+}
+
+class PetrolVehicleFactory extends VehicleFamilyFactory {
+  getFamily() {
+    return "petrol";
+  }
+
+  createVehicle() {
+    return new PetrolCar();
+  }
+
+  createEngine() {
+    return new CombustionEngine();
+  }
+
+  createChargingOrFuelUnit() {
+    return new FuelTank();
+  }
+}
+
+// Chooses the active family at runtime
+class VehicleFamilySelector {
+  constructor() {
+    this.factories = new Map();
+    this.activeName = null;
+  }
+
+  register(name, factory) {
+    if (!(factory instanceof VehicleFamilyFactory)) {
+      throw new Error(`Family "${name}" must be a VehicleFamilyFactory`);
+    }
+    this.factories.set(name, factory);
+    if (this.activeName === null) {
+      this.activeName = name;
+    }
+    return this;
+  }
+
+  use(name) {
+    if (!this.factories.has(name)) {
+      const available = [...this.factories.keys()].join(", ") || "(none)";
+      throw new Error(
+        `Unknown vehicle family "${name}". Available families: ${available}`
+      );
+    }
+    this.activeName = name;
+    return this;
+  }
+
+  get active() {
+    if (this.activeName === null) {
+      throw new Error("No vehicle family has been registered");
+    }
+    return this.factories.get(this.activeName);
+  }
+
+  createFamily() {
+    return this.active.createFamily();
+  }
+}
+
 // Client code
 console.log("Demo Factory Method Pattern");
 
@@ -80,3 +638,133 @@ const bike = bikeFactory.createVehicle();
 
 console.log("Created:", car.getType()); // Car
 console.log("Created:", bike.getType()); // Bike
+
+console.log("\nDemo Abstract Factory Pattern");
+
+const families = new VehicleFamilySelector()
+  .register("electric", new ElectricVehicleFactory())
+  .register("petrol", new PetrolVehicleFactory());
+
+for (const name of ["electric", "petrol"]) {
+  const { vehicle, engine, chargingOrFuelUnit } = families
+    .use(name)
+    .createFamily();
+  console.log(
+    `${name}:`,
+    vehicle.getType(),
+    "+",
+    engine.getType(),
+    "+",
+    chargingOrFuelUnit.getType()
+  );
+}
+
+// A family that forgets a product is rejected when it is created
+class HybridVehicleFactory extends VehicleFamilyFactory {
+  getFamily() {
+    return "hybrid";
+  }
+
+  createVehicle() {
+    return new Car();
+  }
+}
+
+try {
+  new HybridVehicleFactory();
+} catch (error) {
+  console.log("Error:", error.message);
+}
+
+// Mixing products from different families is caught at runtime
+class MismatchedVehicleFactory extends ElectricVehicleFactory {
+  createEngine() {
+    return new CombustionEngine();
+  }
+}
+
+try {
+  new MismatchedVehicleFactory().createFamily();
+} catch (error) {
+  console.log("Error:", error.message);
+}
+
+console.log("\nDemo async and pooled creation");
+
+// A creator whose products take a while to build (e.g. loading specs)
+class SlowBikeFactory extends BikeFactory {
+  loadVehicle(signal) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => resolve(this.createVehicle()), 50);
+      signal.addEventListener("abort", () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      });
+    });
+  }
+}
+
+async function demoAsyncCreation() {
+  const asyncCar = await carFactory.createVehicleAsync();
+  console.log("Created async:", asyncCar.getType());
+
+  try {
+    await new SlowBikeFactory().createVehicleAsync({ timeout: 10 });
+  } catch (error) {
+    console.log(`${error.name}:`, error.message);
+  }
+
+  const controller = new AbortController();
+  const pendingBike = new SlowBikeFactory().createVehicleAsync({
+    signal: controller.signal,
+  });
+  controller.abort(new Error("Booking cancelled"));
+  try {
+    await pendingBike;
+  } catch (error) {
+    console.log("Aborted:", error.message);
+  }
+
+  const pool = await new VehiclePool(carFactory, {
+    min: 1,
+    max: 2,
+    acquireTimeout: 20,
+  }).start();
+
+  const first = await pool.acquire();
+  first.assignDriver("Alice");
+  const second = await pool.acquire();
+  console.log("Pool stats while full:", pool.stats());
+
+  try {
+    await pool.acquire();
+  } catch (error) {
+    console.log(`${error.name}:`, error.message);
+  }
+
+  pool.release(first);
+  const reused = await pool.acquire();
+  console.log("Reused same vehicle?", reused === first);
+  console.log("Driver after reset:", reused.driver);
+
+  pool.release(reused);
+  pool.release(second);
+  console.log("Pool stats after release:", pool.stats());
+  pool.close();
+
+  // The acquire timeout also covers creating a new vehicle; one that arrives
+  // late is kept idle for the next caller
+  const slowPool = new VehiclePool(new SlowBikeFactory(), { max: 1 });
+  try {
+    await slowPool.acquire({ timeout: 10 });
+  } catch (error) {
+    console.log(`${error.name}:`, error.message);
+  }
+  await new Promise((resolve) => setTimeout(resolve, 60));
+  console.log("Late vehicle kept idle:", slowPool.stats().idle);
+  const lateBike = await slowPool.acquire({ timeout: 10 });
+  console.log("Acquired late vehicle:", lateBike.getType());
+  slowPool.close();
+}
+
+demoAsyncCreation().catch((error) => console.log("Error:", error.message));
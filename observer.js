@@ -13,8 +13,37 @@
  * - Loose coupling between subject and observers
  * - Support for broadcast communication
  * - Easy to add/remove observers at runtime
+ *
+ * Subject.attach() takes options: priority (higher is notified first), a
+ * filter so an observer only hears about data it cares about, and once for
+ * a single delivery. It returns a function that unsubscribes.
+ *
+ * A failing observer does not stop the others: notify() collects the errors
+ * and hands them to an onError hook or throws one AggregateError afterwards.
+ * notifyAsync() awaits async observers sequentially or in parallel, with a
+ * concurrency limit and a per-observer timeout, and reports the outcome.
+ *
+ * EventBus generalizes this to named topics: events are published as
+ * envelopes { topic, payload, timestamp, sequence, source } and subscribers
+ * use patterns such as "store.*.price.changed". TopicSubject lets the
+ * Subject/Observer classes sit on top of the bus.
+ *
+ * ObservableState tracks plain state objects: observers are told only about
+ * real changes, as { path, oldValue, newValue }, and changes made inside
+ * batch() arrive together. Computed values derive from the state, recompute
+ * lazily and notify their own subscribers.
+ *
+ * ReplaySubject keeps a bounded history of numbered events, replays the
+ * latest ones to late subscribers and can persist them to an append-only
+ * JSONL file; BehaviorSubject always hands new observers the current value.
+ * StoreWithObserver builds on it, so a restarted process can rebuild its
+ * price from the log.
  */
 
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
 console.log("--------------------------------");
 console.log("Example 1: Without Observer Pattern");
 
@@ -42,39 +71,800 @@ store.setPrice(100);
 console.log("--------------------------------");
 console.log("Example 2: With Observer Pattern");
 
+class TimeoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TimeoutError";
+  }
+}
+
+function withTimeout(promise, timeout, message) {
+  if (timeout === undefined) {
+    return promise;
+  }
+  let timer;
+  const timedOut = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new TimeoutError(message)), timeout);
+  });
+  return Promise.race([promise, timedOut]).finally(() => clearTimeout(timer));
+}
+
+function observerName(observer) {
+  return observer.constructor.name;
+}
+
 // Subject interface
 class Subject {
-  constructor() {
-    this.observers = [];
+  // onError(error, observer, subject) receives observer failures; without it
+  // notify() throws an AggregateError once every observer has been called
+  constructor({ onError = null } = {}) {
+    this.onError = onError;
+    // Sorted by priority (highest first), then by attach order. The array is
+    // replaced rather than mutated, so a notify() already looping over it is
+    // not affected by attach/detach calls made from inside an observer.
+    this.subscriptions = [];
+  }
+
+  get observers() {
+    return this.subscriptions.map((subscription) => subscription.observer);
   }
 
-  attach(observer) {
-    this.observers.push(observer);
+  attach(observer, { priority = 0, filter = null, once = false } = {}) {
+    if (!observer || typeof observer.update !== "function") {
+      throw new TypeError("Observer must implement update()");
+    }
+    const subscription = { observer, priority, filter, once, active: true };
+    const index = this.subscriptions.findIndex(
+      (other) => other.priority < priority
+    );
+    const subscriptions = [...this.subscriptions];
+    subscriptions.splice(
+      index === -1 ? subscriptions.length : index,
+      0,
+      subscription
+    );
+    this.subscriptions = subscriptions;
+    return () => this.unsubscribe(subscription);
   }
 
+  // Removes every subscription of this observer
   detach(observer) {
-    const index = this.observers.indexOf(observer);
-    if (index > -1) {
-      this.observers.splice(index, 1);
+    const matching = this.subscriptions.filter(
+      (subscription) => subscription.observer === observer
+    );
+    matching.forEach((subscription) => this.unsubscribe(subscription));
+    return matching.length > 0;
+  }
+
+  unsubscribe(subscription) {
+    if (!subscription.active) {
+      return false;
+    }
+    subscription.active = false;
+    this.subscriptions = this.subscriptions.filter(
+      (other) => other !== subscription
+    );
+    return true;
+  }
+
+  // Whether this subscription should get data right now; consumes once-only
+  // subscriptions
+  claimDelivery(subscription, data) {
+    // Skip observers detached earlier in this same notification
+    if (!subscription.active) {
+      return false;
+    }
+    if (subscription.filter && !subscription.filter(data, this)) {
+      return false;
     }
+    if (subscription.once) {
+      this.unsubscribe(subscription);
+    }
+    return true;
   }
 
   notify(data) {
-    this.observers.forEach((observer) => observer.update(data));
+    const failed = [];
+    for (const subscription of this.subscriptions) {
+      try {
+        if (this.claimDelivery(subscription, data)) {
+          subscription.observer.update(data);
+        }
+      } catch (error) {
+        failed.push({ observer: subscription.observer, error });
+      }
+    }
+    this.reportFailures(failed);
+  }
+
+  // Resolves to { succeeded: [observer], failed: [{ observer, error }] } and
+  // never rejects because of an observer. mode is "sequential" or "parallel".
+  async notifyAsync(
+    data,
+    { mode = "sequential", concurrency = Infinity, timeout } = {}
+  ) {
+    const limit = mode === "sequential" ? 1 : concurrency;
+    if (!(limit >= 1)) {
+      throw new RangeError("concurrency must be at least 1");
+    }
+    const pending = [...this.subscriptions];
+    const succeeded = [];
+    const failed = [];
+
+    const worker = async () => {
+      while (pending.length > 0) {
+        const subscription = pending.shift();
+        const { observer } = subscription;
+        try {
+          if (!this.claimDelivery(subscription, data)) {
+            continue;
+          }
+          await withTimeout(
+            Promise.resolve().then(() => observer.update(data)),
+            timeout,
+            `${observerName(observer)} timed out after ${timeout}ms`
+          );
+          succeeded.push(observer);
+        } catch (error) {
+          failed.push({ observer, error });
+        }
+      }
+    };
+    const workers = Math.min(limit, pending.length);
+    await Promise.all(Array.from({ length: workers }, worker));
+
+    if (this.onError) {
+      this.reportFailures(failed);
+    }
+    return { succeeded, failed };
+  }
+
+  reportFailures(failed) {
+    if (failed.length === 0) {
+      return;
+    }
+    if (this.onError) {
+      failed.forEach(({ error, observer }) =>
+        this.onError(error, observer, this)
+      );
+      return;
+    }
+    const error = new AggregateError(
+      failed.map((failure) => failure.error),
+      `${failed.length} observer(s) failed: ${failed
+        .map((failure) => observerName(failure.observer))
+        .join(", ")}`
+    );
+    error.failures = failed;
+    throw error;
   }
 }
 
-// Concrete Subject
-class StoreWithObserver extends Subject {
-  constructor() {
-    super();
+// Append-only log with one JSON event per line
+class JsonlEventLog {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  append(entry) {
+    fs.appendFileSync(this.filePath, `${JSON.stringify(entry)}\n`);
+  }
+
+  read() {
+    if (!fs.existsSync(this.filePath)) {
+      return [];
+    }
+    const content = fs.readFileSync(this.filePath, "utf8");
+    const lines = content.split("\n");
+    // A process that died mid-write leaves an unterminated last line. Cut it
+    // off the file too, or the next append would be glued onto it.
+    const torn = lines.pop();
+    if (torn !== "") {
+      fs.truncateSync(
+        this.filePath,
+        Buffer.byteLength(content) - Buffer.byteLength(torn)
+      );
+    }
+    return lines.map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(
+          `Corrupt event log ${this.filePath} at line ${index + 1}: ${
+            error.message
+          }`
+        );
+      }
+    });
+  }
+}
+
+// Keeps the last `bufferSize` events as { sequence, timestamp, data } and
+// replays the last `replay` of them to each newly attached observer
+class ReplaySubject extends Subject {
+  constructor({
+    bufferSize = Infinity,
+    replay = 0,
+    log = null,
+    ...options
+  } = {}) {
+    super(options);
+    this.bufferSize = bufferSize;
+    this.replayCount = Math.min(replay, bufferSize);
+    this.log = log;
+    this.history = [];
+    this.sequence = 0;
+    if (log) {
+      const entries = log.read();
+      this.history = this.trim(entries);
+      this.sequence =
+        entries.length > 0 ? entries[entries.length - 1].sequence : 0;
+    }
+  }
+
+  notify(data) {
+    this.record(data);
+    super.notify(data);
+  }
+
+  notifyAsync(data, options) {
+    this.record(data);
+    return super.notifyAsync(data, options);
+  }
+
+  record(data) {
+    const entry = { sequence: ++this.sequence, timestamp: Date.now(), data };
+    if (this.log) {
+      this.log.append(entry);
+    }
+    this.history = this.trim([...this.history, entry]);
+    return entry;
+  }
+
+  trim(entries) {
+    return this.bufferSize === Infinity
+      ? entries
+      : entries.slice(entries.length - this.bufferSize);
+  }
+
+  attach(observer, options = {}) {
+    const { filter = null, once = false } = options;
+    const failed = [];
+    const latest =
+      this.replayCount === 0 ? [] : this.history.slice(-this.replayCount);
+    for (const { data } of latest) {
+      try {
+        if (filter && !filter(data, this)) {
+          continue;
+        }
+        observer.update(data);
+      } catch (error) {
+        failed.push({ observer, error });
+        continue;
+      }
+      if (once) {
+        this.reportFailures(failed);
+        return () => false;
+      }
+    }
+    const unsubscribe = super.attach(observer, options);
+    this.reportFailures(failed);
+    return unsubscribe;
+  }
+
+  // Events with sequence >= fromSequence, read from the log when the
+  // in-memory buffer no longer has them. Each is also sent to observer, if given.
+  replay(fromSequence = 1, observer = null) {
+    const oldestBuffered =
+      this.history.length > 0 ? this.history[0].sequence : this.sequence + 1;
+    const source =
+      this.log && fromSequence < oldestBuffered
+        ? this.log.read()
+        : this.history;
+    const entries = source.filter((entry) => entry.sequence >= fromSequence);
+    if (observer) {
+      entries.forEach(({ data }) => observer.update(data));
+    }
+    return entries;
+  }
+}
+
+// Always holds a current value, which new observers receive on attach
+class BehaviorSubject extends ReplaySubject {
+  constructor(initialValue, options = {}) {
+    super({ ...options, bufferSize: 1, replay: 1 });
+    if (this.history.length === 0) {
+      // Sequence 0: the starting value is not an event and is never logged
+      this.history = [
+        { sequence: 0, timestamp: Date.now(), data: initialValue },
+      ];
+    }
+  }
+
+  get value() {
+    return this.history[this.history.length - 1].data;
+  }
+}
+
+// Concrete Subject. Keeps no history unless given replay/bufferSize/log
+// options; with a log its price is rebuilt from the recorded events.
+class StoreWithObserver extends ReplaySubject {
+  constructor({ replay = 0, bufferSize = replay, ...options } = {}) {
+    super({ replay, bufferSize, ...options });
     this.price = 0;
+    this.previousPrice = 0;
+    if (this.log) {
+      this.replay(1, { update: (price) => this.applyPrice(price) });
+    }
   }
 
-  setPrice(price) {
+  applyPrice(price) {
+    this.previousPrice = this.price;
     this.price = price;
+  }
+
+  // Setting the current price again notifies nobody
+  setPrice(price) {
+    if (Object.is(price, this.price)) {
+      return;
+    }
+    this.applyPrice(price);
     this.notify(price);
   }
+
+  setPriceAsync(price, options) {
+    if (Object.is(price, this.price)) {
+      return Promise.resolve({ succeeded: [], failed: [] });
+    }
+    this.applyPrice(price);
+    return this.notifyAsync(price, options);
+  }
+}
+
+function isTrackable(value) {
+  if (value === null || typeof value !== "object") {
+    return false;
+  }
+  const proto = Object.getPrototypeOf(value);
+  return Array.isArray(value) || proto === Object.prototype || proto === null;
+}
+
+// Dependency recorded when the keys of the object at path are listed
+function keysPath(path) {
+  return path ? `${path}.[keys]` : "[keys]";
+}
+
+// Observers receive an array of { path, oldValue, newValue } changes. Read
+// and write the state through `store.state`, which tracks nested objects.
+class ObservableState extends Subject {
+  constructor(initial = {}, options) {
+    super(options);
+    this.raw = initial;
+    this.proxies = new WeakMap(); // raw object -> Map(path -> proxy)
+    this.targets = new WeakMap(); // proxy -> raw object
+    this.computeds = new Set();
+    this.tracking = null; // paths read by the computed being evaluated
+    this.batchDepth = 0;
+    this.pending = new Map(); // path -> change, while batching
+    this.state = this.track(initial, "");
+  }
+
+  get(path) {
+    return path
+      .split(".")
+      .reduce(
+        (value, key) => (value == null ? undefined : value[key]),
+        this.state
+      );
+  }
+
+  set(path, value) {
+    const keys = path.split(".");
+    const last = keys.pop();
+    const parent = keys.length > 0 ? this.get(keys.join(".")) : this.state;
+    if (parent === null || typeof parent !== "object") {
+      throw new TypeError(`Cannot set "${path}": parent is not an object`);
+    }
+    parent[last] = value;
+  }
+
+  // Groups every change made inside fn into one notification
+  batch(fn) {
+    this.batchDepth++;
+    try {
+      return fn(this.state);
+    } finally {
+      this.batchDepth--;
+      if (this.batchDepth === 0) {
+        const changes = [...this.pending.values()].filter(
+          (change) => !Object.is(change.oldValue, change.newValue)
+        );
+        this.pending.clear();
+        this.publish(changes);
+      }
+    }
+  }
+
+  computed(name, compute) {
+    const computed = new Computed(this, name, compute);
+    this.computeds.add(computed);
+    return computed;
+  }
+
+  track(object, path) {
+    let byPath = this.proxies.get(object);
+    if (!byPath) {
+      byPath = new Map();
+      this.proxies.set(object, byPath);
+    }
+    if (byPath.has(path)) {
+      return byPath.get(path);
+    }
+    const childPath = (key) => (path ? `${path}.${String(key)}` : String(key));
+    const hasOwn = (target, key) =>
+      Object.prototype.hasOwnProperty.call(target, key);
+    const proxy = new Proxy(object, {
+      get: (target, key, receiver) => {
+        const value = Reflect.get(target, key, receiver);
+        if (typeof key === "symbol") {
+          return value;
+        }
+        if (this.tracking) {
+          this.tracking.add(childPath(key));
+        }
+        return isTrackable(value) ? this.track(value, childPath(key)) : value;
+      },
+      // Object.keys(), for...in and friends depend on the set of keys
+      ownKeys: (target) => {
+        if (this.tracking) {
+          this.tracking.add(keysPath(path));
+        }
+        return Reflect.ownKeys(target);
+      },
+      has: (target, key) => {
+        if (this.tracking && typeof key !== "symbol") {
+          this.tracking.add(childPath(key));
+        }
+        return Reflect.has(target, key);
+      },
+      set: (target, key, value) => {
+        const newValue = this.targets.get(value) || value;
+        const added = !hasOwn(target, key);
+        const oldValue = target[key];
+        const isArray = Array.isArray(target);
+        const oldLength = isArray ? target.length : 0;
+        // Shrinking an array through length drops its tail elements
+        const dropped =
+          isArray && key === "length" ? target.slice(newValue) : [];
+        target[key] = newValue;
+        if (typeof key === "symbol") {
+          return true;
+        }
+        if (added || dropped.length > 0) {
+          this.invalidateKeys(path);
+        }
+        // A new key is a change even when its value is undefined
+        if (added || !Object.is(oldValue, newValue)) {
+          this.record({ path: childPath(key), oldValue, newValue });
+        }
+        dropped.forEach((item, offset) =>
+          this.record({
+            path: childPath(newValue + offset),
+            oldValue: item,
+            newValue: undefined,
+          })
+        );
+        // Writing past the end grows the array without a separate length
+        // write that differs, so report the new length here
+        if (isArray && key !== "length" && target.length !== oldLength) {
+          this.record({
+            path: childPath("length"),
+            oldValue: oldLength,
+            newValue: target.length,
+          });
+        }
+        return true;
+      },
+      deleteProperty: (target, key) => {
+        const had = hasOwn(target, key);
+        const oldValue = target[key];
+        delete target[key];
+        if (had && typeof key !== "symbol") {
+          this.invalidateKeys(path);
+          this.record({ path: childPath(key), oldValue, newValue: undefined });
+        }
+        return true;
+      },
+    });
+    byPath.set(path, proxy);
+    this.targets.set(proxy, object);
+    return proxy;
+  }
+
+  // Key-set reads are not published as changes; they only go stale
+  invalidateKeys(path) {
+    this.computeds.forEach((computed) => computed.invalidate(keysPath(path)));
+  }
+
+  record(change) {
+    // Mark dependents stale first so observers always read fresh values
+    this.computeds.forEach((computed) => computed.invalidate(change.path));
+    if (this.batchDepth > 0) {
+      const earlier = this.pending.get(change.path);
+      this.pending.set(
+        change.path,
+        earlier ? { ...earlier, newValue: change.newValue } : change
+      );
+      return;
+    }
+    this.publish([change]);
+  }
+
+  publish(changes) {
+    if (changes.length === 0) {
+      return;
+    }
+    this.notify(changes);
+    this.computeds.forEach((computed) => computed.refresh());
+  }
+}
+
+// Derived value; recomputed on read after one of its inputs changed. With
+// subscribers attached it recomputes right away to tell them about changes.
+class Computed extends Subject {
+  constructor(store, name, compute) {
+    super();
+    this.store = store;
+    this.name = name;
+    this.compute = compute;
+    this.dependencies = new Set();
+    this.dirty = true;
+    this.current = undefined;
+  }
+
+  get value() {
+    if (this.dirty) {
+      this.evaluate();
+    }
+    // A computed reading this one depends on our inputs too
+    if (this.store.tracking) {
+      this.dependencies.forEach((path) => this.store.tracking.add(path));
+    }
+    return this.current;
+  }
+
+  attach(observer, options) {
+    const unsubscribe = super.attach(observer, options);
+    // Establish a baseline to diff later changes against
+    if (this.dirty) {
+      this.evaluate();
+    }
+    return unsubscribe;
+  }
+
+  evaluate() {
+    const outer = this.store.tracking;
+    this.store.tracking = new Set();
+    try {
+      this.current = this.compute(this.store.state);
+      this.dirty = false;
+    } finally {
+      this.dependencies = this.store.tracking;
+      this.store.tracking = outer;
+    }
+  }
+
+  // A change at `path` affects reads of that path and of anything below it
+  invalidate(path) {
+    for (const dependency of this.dependencies) {
+      if (dependency === path || dependency.startsWith(`${path}.`)) {
+        this.dirty = true;
+        return;
+      }
+    }
+  }
+
+  refresh() {
+    if (!this.dirty || this.subscriptions.length === 0) {
+      return;
+    }
+    const oldValue = this.current;
+    this.evaluate();
+    if (!Object.is(oldValue, this.current)) {
+      this.notify([{ path: this.name, oldValue, newValue: this.current }]);
+    }
+  }
+}
+
+// Topic patterns: "*" matches exactly one segment, "**" any number of them
+function matchSegments(pattern, topic) {
+  if (pattern.length === 0) {
+    return topic.length === 0;
+  }
+  const [head, ...rest] = pattern;
+  if (head === "**") {
+    return (
+      topic.some((_, i) => matchSegments(rest, topic.slice(i))) ||
+      matchSegments(rest, [])
+    );
+  }
+  return (
+    topic.length > 0 &&
+    (head === "*" || head === topic[0]) &&
+    matchSegments(rest, topic.slice(1))
+  );
+}
+
+function splitTopic(topic, { allowWildcards }) {
+  const segments = typeof topic === "string" ? topic.split(".") : [];
+  const valid =
+    segments.length > 0 &&
+    segments.every(
+      (segment) =>
+        /^[\w-]+$/.test(segment) ||
+        (allowWildcards && (segment === "*" || segment === "**"))
+    );
+  if (!valid) {
+    throw new TypeError(
+      `Invalid topic${allowWildcards ? " pattern" : ""}: "${topic}"`
+    );
+  }
+  return segments;
+}
+
+const PAYLOAD_TYPES = {
+  string: (value) => typeof value === "string",
+  number: (value) => typeof value === "number" && Number.isFinite(value),
+  boolean: (value) => typeof value === "boolean",
+  object: (value) => value !== null && typeof value === "object",
+};
+
+class EventBus {
+  constructor({ source = "event-bus", onError = null } = {}) {
+    this.source = source;
+    this.sequence = 0;
+    this.subject = new Subject({ onError });
+    this.schemas = []; // { pattern, segments, schema }
+    this.handlers = new Map(); // handler -> unsubscribe functions
+  }
+
+  // Declares payload field types for topics matching pattern, e.g.
+  // defineTopic("store.*.price.changed", { sku: "string", price: "number" })
+  defineTopic(pattern, schema) {
+    for (const [field, type] of Object.entries(schema)) {
+      if (!PAYLOAD_TYPES[type]) {
+        throw new TypeError(`Unknown type "${type}" for field "${field}"`);
+      }
+    }
+    this.schemas.push({
+      pattern,
+      segments: splitTopic(pattern, { allowWildcards: true }),
+      schema,
+    });
+    return this;
+  }
+
+  publish(topic, payload, { source = this.source } = {}) {
+    this.validate(topic, payload);
+    const envelope = Object.freeze({
+      topic,
+      payload,
+      timestamp: Date.now(),
+      sequence: ++this.sequence,
+      source,
+    });
+    this.subject.notify(envelope);
+    return envelope;
+  }
+
+  // handler is a function or an Observer; it receives the whole envelope.
+  // Options are those of Subject.attach(). Returns an unsubscribe function.
+  subscribe(pattern, handler, { filter = null, ...options } = {}) {
+    const segments = splitTopic(pattern, { allowWildcards: true });
+    const observer =
+      typeof handler === "function" ? { update: handler } : handler;
+    const detach = this.subject.attach(observer, {
+      ...options,
+      filter: (envelope) =>
+        matchSegments(segments, envelope.topic.split(".")) &&
+        (!filter || filter(envelope)),
+    });
+    const unsubscribers = this.handlers.get(handler) || [];
+    this.handlers.set(handler, [...unsubscribers, detach]);
+    return detach;
+  }
+
+  // Removes every subscription made with this handler
+  unsubscribe(handler) {
+    const unsubscribers = this.handlers.get(handler) || [];
+    this.handlers.delete(handler);
+    return unsubscribers.filter((detach) => detach()).length > 0;
+  }
+
+  // Throws a TypeError if payload does not match the schemas for topic
+  validate(topic, payload) {
+    const segments = splitTopic(topic, { allowWildcards: false });
+    for (const definition of this.schemas) {
+      if (!matchSegments(definition.segments, segments)) {
+        continue;
+      }
+      const problems = Object.entries(definition.schema)
+        .filter(([field, type]) => !PAYLOAD_TYPES[type]((payload || {})[field]))
+        .map(([field, type]) => `${field} must be a ${type}`);
+      if (problems.length > 0) {
+        throw new TypeError(
+          `Invalid payload for "${topic}": ${problems.join(", ")}`
+        );
+      }
+    }
+  }
+}
+
+// A Subject fed by the bus: its observers get select(envelope) for every
+// event matching pattern
+class TopicSubject extends Subject {
+  constructor(
+    bus,
+    pattern,
+    { select = (envelope) => envelope.payload, ...options } = {}
+  ) {
+    super(options);
+    this.detachFromBus = bus.subscribe(pattern, (envelope) =>
+      this.notify(select(envelope))
+    );
+  }
+
+  close() {
+    this.detachFromBus();
+  }
+}
+
+// A store that publishes each kind of change on its own topic
+class StoreWithEventBus {
+  constructor(bus, name = "store") {
+    this.bus = bus;
+    this.name = name;
+    this.products = new Map();
+  }
+
+  addProduct(sku, { price = 0, stock = 0 } = {}) {
+    if (this.products.has(sku)) {
+      throw new Error(`Product ${sku} already exists`);
+    }
+    const product = { sku, price, stock };
+    this.publish(sku, "product.added", { ...product }, () =>
+      this.products.set(sku, product)
+    );
+  }
+
+  setPrice(sku, price) {
+    const product = this.product(sku);
+    const payload = { sku, price, previousPrice: product.price };
+    this.publish(sku, "price.changed", payload, () => (product.price = price));
+  }
+
+  setStock(sku, stock) {
+    const product = this.product(sku);
+    const payload = { sku, stock, previousStock: product.stock };
+    this.publish(sku, "stock.changed", payload, () => (product.stock = stock));
+  }
+
+  product(sku) {
+    const product = this.products.get(sku);
+    if (!product) {
+      throw new Error(`Unknown product ${sku}`);
+    }
+    return product;
+  }
+
+  // Topics look like store.<sku>.price.changed. The change is applied only
+  // once the payload is known to be valid.
+  publish(sku, event, payload, apply) {
+    const topic = `store.${sku}.${event}`;
+    this.bus.validate(topic, payload);
+    apply();
+    this.bus.publish(topic, payload, { source: this.name });
+  }
 }
 
 // Observer interface
@@ -120,3 +910,251 @@ storeWithObserver.setPrice(100);
 storeWithObserver.detach(smsObserver);
 console.log("\nAfter detaching SMS observer:");
 storeWithObserver.setPrice(200);
+
+console.log("--------------------------------");
+console.log("Example 3: Subscription options");
+
+class PriceDropObserver extends Observer {
+  update(price) {
+    console.log(`Price drop alert: now ${price}`);
+  }
+}
+
+class FirstChangeObserver extends Observer {
+  update(price) {
+    console.log(`First change seen: ${price}`);
+  }
+}
+
+// Detaches another observer while a notification is in progress
+class AuditObserver extends Observer {
+  constructor(subject) {
+    super();
+    this.subject = subject;
+  }
+
+  update(price) {
+    console.log(`Audit: price ${price}, detaching app notifications`);
+    this.subject.detach(appObserver);
+  }
+}
+
+const optionsStore = new StoreWithObserver();
+optionsStore.setPrice(200);
+
+// Only told about drops of more than 10%, and before everyone else
+optionsStore.attach(new PriceDropObserver(), {
+  priority: 10,
+  filter: (price, store) => price < store.previousPrice * 0.9,
+});
+optionsStore.attach(new FirstChangeObserver(), { once: true });
+optionsStore.attach(new AuditObserver(optionsStore), { priority: 5 });
+const unsubscribeEmail = optionsStore.attach(emailObserver);
+optionsStore.attach(appObserver);
+
+optionsStore.setPrice(190); // 5% drop: no alert
+console.log("\nAfter unsubscribing email:");
+unsubscribeEmail();
+optionsStore.setPrice(150); // 21% drop: alert
+
+console.log("--------------------------------");
+console.log("Example 4: Failing and async observers");
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+class BrokenSMSObserver extends Observer {
+  update(price) {
+    throw new Error("SMS gateway unavailable");
+  }
+}
+
+// Notification channels that do I/O
+class AsyncEmailObserver extends Observer {
+  async update(price) {
+    await delay(10);
+    console.log(`Email sent: Price updated to ${price}`);
+  }
+}
+
+class AsyncSMSObserver extends Observer {
+  async update(price) {
+    await delay(5);
+    throw new Error("SMS quota exceeded");
+  }
+}
+
+class AsyncAppObserver extends Observer {
+  async update(price) {
+    await delay(100);
+    console.log(`Push sent: Price updated to ${price}`);
+  }
+}
+
+const isolatedStore = new StoreWithObserver();
+isolatedStore.attach(new BrokenSMSObserver());
+isolatedStore.attach(appObserver);
+
+try {
+  isolatedStore.setPrice(300); // the app observer is still notified
+} catch (error) {
+  console.log(`${error.name}:`, error.message);
+}
+
+isolatedStore.onError = (error, observer) =>
+  console.log(`Logged failure from ${observerName(observer)}:`, error.message);
+isolatedStore.setPrice(310);
+
+console.log("--------------------------------");
+console.log("Example 5: Topic-based event bus");
+
+const bus = new EventBus();
+bus.defineTopic("store.*.price.changed", { sku: "string", price: "number" });
+
+const shop = new StoreWithEventBus(bus, "main-store");
+
+bus.subscribe("store.*.product.added", ({ payload, sequence }) =>
+  console.log(`#${sequence} New product ${payload.sku} at ${payload.price}`)
+);
+bus.subscribe("store.*.stock.*", ({ payload, source }) =>
+  console.log(`Stock of ${payload.sku} is now ${payload.stock} (${source})`)
+);
+
+// Existing observers sit on top of the bus through a TopicSubject
+const priceSubject = new TopicSubject(bus, "store.*.price.changed", {
+  select: (envelope) => envelope.payload.price,
+});
+priceSubject.attach(emailObserver);
+priceSubject.attach(new PriceDropObserver(), {
+  filter: (price) => price < 50,
+});
+
+shop.addProduct("sku-1", { price: 80, stock: 3 });
+shop.setPrice("sku-1", 45);
+shop.setStock("sku-1", 2);
+
+try {
+  shop.setPrice("sku-1", "cheap");
+} catch (error) {
+  console.log(`${error.name}:`, error.message);
+}
+
+console.log("--------------------------------");
+console.log("Example 6: Observable state and computed values");
+
+class ChangeLogObserver extends Observer {
+  constructor(label) {
+    super();
+    this.label = label;
+  }
+
+  update(changes) {
+    changes.forEach(({ path, oldValue, newValue }) =>
+      console.log(`${this.label}: ${path} ${oldValue} -> ${newValue}`)
+    );
+  }
+}
+
+const productState = new ObservableState({
+  price: 100,
+  discountRate: 0.1,
+  details: { name: "Sneakers", stock: 5 },
+});
+productState.attach(new ChangeLogObserver("State"));
+
+const discountedPrice = productState.computed(
+  "discountedPrice",
+  (state) => state.price * (1 - state.discountRate)
+);
+discountedPrice.attach(new ChangeLogObserver("Computed"));
+
+productState.state.price = 100; // unchanged: no notification
+productState.state.price = 120;
+productState.state.details.stock = 4; // nested path, computed not affected
+
+console.log("Batch:");
+productState.batch((state) => {
+  state.price = 200;
+  state.discountRate = 0.25;
+  state.price = 160;
+});
+console.log("Discounted price is", discountedPrice.value);
+
+// Array growth and added keys reach computeds that read length or keys
+const cartState = new ObservableState({ items: ["socks"], tags: {} });
+const itemCount = cartState.computed(
+  "itemCount",
+  (state) => state.items.length
+);
+const tagList = cartState.computed("tagList", (state) =>
+  Object.keys(state.tags).join(",")
+);
+cartState.state.items.push("laces");
+cartState.state.tags.sale = true;
+console.log("Cart items:", itemCount.value, "tags:", tagList.value); // 2 sale
+
+const unchangedStore = new StoreWithObserver();
+unchangedStore.attach(emailObserver);
+unchangedStore.setPrice(100);
+unchangedStore.setPrice(100); // no second email
+
+console.log("--------------------------------");
+console.log("Example 7: History, replay and persistence");
+
+const historyFile = path.join(
+  os.tmpdir(),
+  `price-history-${process.pid}.jsonl`
+);
+fs.rmSync(historyFile, { force: true });
+
+const loggedStore = new StoreWithObserver({
+  replay: 1,
+  log: new JsonlEventLog(historyFile),
+});
+loggedStore.setPrice(100);
+loggedStore.setPrice(120);
+
+console.log("Late subscriber attaches:");
+loggedStore.attach(emailObserver); // hears 120 immediately
+
+// Simulate a restart: a new store rebuilds its state from the log
+const restartedStore = new StoreWithObserver({
+  log: new JsonlEventLog(historyFile),
+});
+console.log("Price after restart:", restartedStore.price);
+restartedStore.setPrice(130);
+console.log(
+  "Events from #2:",
+  restartedStore.replay(2).map(({ sequence, data }) => `#${sequence}=${data}`)
+);
+fs.rmSync(historyFile, { force: true });
+
+class CurrencyObserver extends Observer {
+  update(code) {
+    console.log(`Currency is ${code}`);
+  }
+}
+
+// Behavior subject: observers get the current value as soon as they attach
+const currency = new BehaviorSubject("USD");
+currency.attach(new CurrencyObserver());
+currency.notify("EUR");
+console.log("Current currency:", currency.value);
+
+async function demoAsyncObservers() {
+  const asyncStore = new StoreWithObserver();
+  asyncStore.attach(new AsyncEmailObserver());
+  asyncStore.attach(new AsyncSMSObserver());
+  asyncStore.attach(new AsyncAppObserver());
+
+  const report = await asyncStore.setPriceAsync(400, {
+    mode: "parallel",
+    concurrency: 2,
+    timeout: 50,
+  });
+  console.log("Succeeded:", report.succeeded.map(observerName));
+  report.failed.forEach(({ observer, error }) =>
+    console.log(`Failed: ${observerName(observer)} (${error.message})`)
+  );
+}
+
+demoAsyncObservers().catch((error) => console.log("Error:", error.message));
@@ -14,51 +14,969 @@
  * - Client code (buy function) only needs to work with the facade instead of individual subsystems
  * - Each subsystem (Discount, Shipping, Fees) can be modified independently
  * - The facade coordinates the subsystems and handles their interactions
+ *
+ * The subsystems are steps of a PricingPipeline. Each step has its own rates,
+ * may only apply under a condition (customer tier, coupon code, date range),
+ * and the whole pipeline can be loaded from a JSON rule file such as
+ * pricing-rules.json. ShopFacade stays the single entry point.
+ *
+ * Amounts are Money values: integer minor units (BigInt) plus a currency code,
+ * with an explicit rounding mode wherever a rate is applied, so there is no
+ * float drift. calculate() returns a PriceBreakdown (subtotal, adjustments,
+ * taxes, shipping, total) that renders as an invoice table or as JSON.
+ *
+ * checkout(cart, customer) runs the whole flow behind the facade: reserve
+ * stock, price the cart, charge payment, ship, then commit the reservation.
+ * Every completed step registers an undo, so a failure in a later step
+ * releases stock and refunds payment before the Order is cancelled.
  */
 
-class Discount {
-  calculate(price) {
-    return price * 0.9;
+const fs = require("fs");
+const path = require("path");
+
+// Minor-unit exponent per ISO 4217 currency code
+const CURRENCIES = { USD: 2, EUR: 2, GBP: 2, JPY: 0, VND: 0 };
+
+const RoundingMode = Object.freeze({
+  HALF_UP: "HALF_UP", // away from zero on .5
+  HALF_DOWN: "HALF_DOWN", // toward zero on .5
+  HALF_EVEN: "HALF_EVEN", // banker's rounding
+  UP: "UP", // away from zero
+  DOWN: "DOWN", // toward zero
+  CEILING: "CEILING",
+  FLOOR: "FLOOR",
+});
+
+// Integer division of BigInts with the given rounding mode
+function divideRounded(numerator, denominator, mode) {
+  if (denominator < 0n) {
+    return divideRounded(-numerator, -denominator, mode);
+  }
+  const quotient = numerator / denominator;
+  const remainder = numerator % denominator;
+  if (remainder === 0n) {
+    return quotient;
+  }
+  const away = quotient + (numerator < 0n ? -1n : 1n);
+  const twice = 2n * (remainder < 0n ? -remainder : remainder);
+  switch (mode) {
+    case RoundingMode.UP:
+      return away;
+    case RoundingMode.DOWN:
+      return quotient;
+    case RoundingMode.CEILING:
+      return numerator > 0n ? away : quotient;
+    case RoundingMode.FLOOR:
+      return numerator < 0n ? away : quotient;
+    case RoundingMode.HALF_UP:
+    case RoundingMode.HALF_DOWN:
+    case RoundingMode.HALF_EVEN:
+      if (twice !== denominator) {
+        return twice > denominator ? away : quotient;
+      }
+      if (mode === RoundingMode.HALF_UP) return away;
+      if (mode === RoundingMode.HALF_DOWN) return quotient;
+      return quotient % 2n === 0n ? quotient : away;
+    default:
+      throw new Error(`Unknown rounding mode "${mode}"`);
+  }
+}
+
+// "1.05", 1.05 or 1e-7 -> { units, scale } such as { units: 105n, scale: 100n },
+// read from the shortest decimal text so no float error creeps in
+function parseDecimal(value) {
+  const match = /^(-?)(\d+)(?:\.(\d+))?(?:e([+-]?\d+))?$/i.exec(
+    String(value).trim()
+  );
+  if (!match) {
+    throw new TypeError(`"${value}" is not a decimal number`);
+  }
+  const [, sign, whole, fraction = "", exponent = "0"] = match;
+  const digits = fraction.length - Number(exponent);
+  const units = BigInt(`${sign}${whole}${fraction}`);
+  return digits >= 0
+    ? { units, scale: 10n ** BigInt(digits) }
+    : { units: units * 10n ** BigInt(-digits), scale: 1n };
+}
+
+class Money {
+  // Build from major units, e.g. Money.of("1559.25", "USD")
+  static of(amount, currency = "USD") {
+    const exponent = Money.exponentOf(currency);
+    const { units, scale } = parseDecimal(amount);
+    const factor = 10n ** BigInt(exponent);
+    if ((units * factor) % scale !== 0n) {
+      throw new RangeError(
+        `${amount} has more decimals than ${currency} allows (${exponent})`
+      );
+    }
+    return new Money((units * factor) / scale, currency);
+  }
+
+  static exponentOf(currency) {
+    if (!(currency in CURRENCIES)) {
+      throw new Error(`Unknown currency "${currency}"`);
+    }
+    return CURRENCIES[currency];
+  }
+
+  constructor(minor, currency) {
+    Money.exponentOf(currency);
+    this.minor = BigInt(minor);
+    this.currency = currency;
+    Object.freeze(this);
+  }
+
+  checkCurrency(other) {
+    if (other.currency !== this.currency) {
+      throw new Error(
+        `Currency mismatch: ${this.currency} and ${other.currency}`
+      );
+    }
+  }
+
+  add(other) {
+    this.checkCurrency(other);
+    return new Money(this.minor + other.minor, this.currency);
+  }
+
+  subtract(other) {
+    this.checkCurrency(other);
+    return new Money(this.minor - other.minor, this.currency);
+  }
+
+  multiply(factor, rounding = RoundingMode.HALF_UP) {
+    const { units, scale } = parseDecimal(factor);
+    return new Money(
+      divideRounded(this.minor * units, scale, rounding),
+      this.currency
+    );
+  }
+
+  compare(other) {
+    this.checkCurrency(other);
+    if (this.minor === other.minor) return 0;
+    return this.minor < other.minor ? -1 : 1;
+  }
+
+  min(other) {
+    return this.compare(other) <= 0 ? this : other;
+  }
+
+  // Major units as an exact decimal string, e.g. "1559.25"
+  toDecimal() {
+    const exponent = Money.exponentOf(this.currency);
+    const digits = (this.minor < 0n ? -this.minor : this.minor)
+      .toString()
+      .padStart(exponent + 1, "0");
+    const whole = digits.slice(0, digits.length - exponent);
+    const fraction = exponent > 0 ? `.${digits.slice(-exponent)}` : "";
+    return `${this.minor < 0n ? "-" : ""}${whole}${fraction}`;
+  }
+
+  toString() {
+    return `${this.toDecimal()} ${this.currency}`;
+  }
+
+  toJSON() {
+    return { amount: this.toDecimal(), currency: this.currency };
   }
 }
 
-class Shipping {
-  calculate(price) {
-    return price * 0.1;
+// Conditions a step can require; every listed condition must hold
+const CONDITIONS = {
+  customerTier: (expected, context) =>
+    [].concat(expected).includes(context.customer && context.customer.tier),
+  couponCode: (expected, context) =>
+    typeof context.couponCode === "string" &&
+    []
+      .concat(expected)
+      .map((code) => code.toUpperCase())
+      .includes(context.couponCode.toUpperCase()),
+  dateRange: ({ from, to }, context) => {
+    const date = context.date ? parseDate(context.date) : new Date();
+    return (
+      (!from || date >= parseDate(from)) &&
+      (!to || date <= parseDate(to, { endOfDay: true }))
+    );
+  },
+};
+
+// Date-only strings ("2025-08-31") are local calendar days, like new Date()
+// and Date objects; endOfDay makes them cover the whole day
+function parseDate(value, { endOfDay = false } = {}) {
+  const match =
+    typeof value === "string" && /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!match) {
+    return new Date(value);
   }
+  const [, year, month, day] = match.map(Number);
+  return endOfDay
+    ? new Date(year, month - 1, day, 23, 59, 59, 999)
+    : new Date(year, month - 1, day);
 }
 
-class Fees {
-  calculate(price) {
-    return price * 1.05;
+function checkRate(rate, id) {
+  if (!(typeof rate === "number" && rate >= 0 && rate <= 1)) {
+    throw new Error(`Step "${id}": rate must be a number between 0 and 1`);
   }
 }
 
-class ShopFacade {
+function checkAmount(amount, id, name = "amount") {
+  if (!(typeof amount === "number" && amount >= 0)) {
+    throw new Error(`Step "${id}": ${name} must be a non-negative number`);
+  }
+}
+
+// Pipeline step interface
+class PricingStep {
+  // Breakdown section: "adjustment", "tax" or "shipping"
+  static kind = "adjustment";
+
+  constructor({ id, label = id, when = {} } = {}) {
+    if (this.constructor === PricingStep) {
+      throw new Error("Abstract class cannot be instantiated");
+    }
+    for (const condition of Object.keys(when)) {
+      if (!CONDITIONS[condition]) {
+        throw new Error(`Step "${id}": unknown condition "${condition}"`);
+      }
+    }
+    this.id = id;
+    this.label = label;
+    this.when = when;
+  }
+
+  appliesTo(context) {
+    return Object.entries(this.when).every(([condition, expected]) =>
+      CONDITIONS[condition](expected, context)
+    );
+  }
+
+  // Takes and returns the running total as Money; rates are rounded with
+  // context.rounding
+  apply(price, context) {
+    throw new Error("apply() method must be implemented");
+  }
+}
+
+// Order-level percentage ({ rate: 0.1 }) or flat ({ amount: 5000 }) discount
+class Discount extends PricingStep {
+  constructor({ rate, amount, ...options } = {}) {
+    super({ id: "discount", label: "Discount", ...options });
+    if ((rate === undefined) === (amount === undefined)) {
+      throw new Error(`Step "${this.id}": set either rate or amount`);
+    }
+    if (rate !== undefined) checkRate(rate, this.id);
+    if (amount !== undefined) checkAmount(amount, this.id);
+    this.rate = rate;
+    this.amount = amount;
+  }
+
+  apply(price, context) {
+    const discount =
+      this.rate !== undefined
+        ? price.multiply(this.rate, context.rounding)
+        : Money.of(this.amount, price.currency).min(price);
+    return price.subtract(discount);
+  }
+}
+
+// Per-item discount on cart lines matching sku and/or category; a flat
+// amount is taken off each unit
+class ItemDiscount extends PricingStep {
+  constructor({ rate, amount, sku, category, ...options } = {}) {
+    super({ id: "item-discount", label: "Item discount", ...options });
+    if ((rate === undefined) === (amount === undefined)) {
+      throw new Error(`Step "${this.id}": set either rate or amount`);
+    }
+    if (rate !== undefined) checkRate(rate, this.id);
+    if (amount !== undefined) checkAmount(amount, this.id);
+    this.rate = rate;
+    this.amount = amount;
+    this.sku = sku;
+    this.category = category;
+  }
+
+  matchingItems(context) {
+    return (context.items || []).filter(
+      (item) =>
+        (this.sku === undefined || [].concat(this.sku).includes(item.sku)) &&
+        (this.category === undefined ||
+          [].concat(this.category).includes(item.category))
+    );
+  }
+
+  appliesTo(context) {
+    return super.appliesTo(context) && this.matchingItems(context).length > 0;
+  }
+
+  apply(price, context) {
+    const discount = this.matchingItems(context).reduce((sum, item) => {
+      const line = item.total();
+      const off =
+        this.rate !== undefined
+          ? line.multiply(this.rate, context.rounding)
+          : Money.of(this.amount, line.currency).multiply(item.quantity);
+      return sum.add(off.min(line));
+    }, Money.of(0, price.currency));
+    return price.subtract(discount.min(price));
+  }
+}
+
+// Percentage fee, optionally capped
+class Fees extends PricingStep {
+  constructor({ rate = 0.05, cap = Infinity, ...options } = {}) {
+    super({ id: "fees", label: "Fees", ...options });
+    checkRate(rate, this.id);
+    checkAmount(cap, this.id, "cap");
+    this.rate = rate;
+    this.cap = cap;
+  }
+
+  apply(price, context) {
+    const fee = price.multiply(this.rate, context.rounding);
+    return price.add(
+      this.cap === Infinity ? fee : fee.min(Money.of(this.cap, price.currency))
+    );
+  }
+}
+
+// Percentage tax on the running total
+class Tax extends PricingStep {
+  static kind = "tax";
+
+  constructor({ rate, ...options } = {}) {
+    super({ id: "tax", label: "Tax", ...options });
+    checkRate(rate, this.id);
+    this.rate = rate;
+  }
+
+  apply(price, context) {
+    return price.add(price.multiply(this.rate, context.rounding));
+  }
+}
+
+// Tiered by order value or by context.weight. Tiers are { upTo, rate } or
+// { upTo, amount }; the first tier with basis <= upTo wins and the last
+// tier, without upTo, catches everything else.
+class Shipping extends PricingStep {
+  static kind = "shipping";
+
+  constructor({ basis = "value", tiers = [{ rate: 0.1 }], ...options } = {}) {
+    super({ id: "shipping", label: "Shipping", ...options });
+    if (!["value", "weight"].includes(basis)) {
+      throw new Error(`Step "${this.id}": basis must be "value" or "weight"`);
+    }
+    if (!Array.isArray(tiers) || tiers.length === 0) {
+      throw new Error(`Step "${this.id}": tiers must be a non-empty array`);
+    }
+    tiers.forEach((tier, index) => {
+      const last = index === tiers.length - 1;
+      if (last !== (tier.upTo === undefined)) {
+        throw new Error(
+          `Step "${this.id}": only the last tier may (and must) omit upTo`
+        );
+      }
+      if (!last) checkAmount(tier.upTo, this.id, "upTo");
+      if (tier.rate !== undefined) checkRate(tier.rate, this.id);
+      else checkAmount(tier.amount, this.id);
+    });
+    this.basis = basis;
+    this.tiers = tiers;
+  }
+
+  apply(price, context) {
+    const fits =
+      this.basis === "weight"
+        ? (upTo) => (context.weight || 0) <= upTo
+        : (upTo) => price.compare(Money.of(upTo, price.currency)) <= 0;
+    const tier = this.tiers.find(
+      ({ upTo }) => upTo === undefined || fits(upTo)
+    );
+    return price.add(
+      tier.rate !== undefined
+        ? price.multiply(tier.rate, context.rounding)
+        : Money.of(tier.amount, price.currency)
+    );
+  }
+}
+
+// Itemized result of a pipeline run; every amount is Money
+class PriceBreakdown {
+  constructor(subtotal) {
+    this.currency = subtotal.currency;
+    this.subtotal = subtotal;
+    this.adjustments = []; // [{ ruleId, label, amount }]
+    this.taxes = [];
+    this.shipping = [];
+    this.total = subtotal;
+  }
+
+  addLine(kind, line) {
+    const section = { adjustment: "adjustments", tax: "taxes" }[kind] || kind;
+    if (!Array.isArray(this[section])) {
+      throw new Error(`Unknown breakdown section "${kind}"`);
+    }
+    this[section].push(line);
+    this.total = this.total.add(line.amount);
+  }
+
+  get lines() {
+    return [...this.adjustments, ...this.taxes, ...this.shipping];
+  }
+
+  toJSON() {
+    const lines = (section) =>
+      section.map(({ ruleId, label, amount }) => ({
+        ruleId,
+        label,
+        amount: amount.toDecimal(),
+      }));
+    return {
+      currency: this.currency,
+      subtotal: this.subtotal.toDecimal(),
+      adjustments: lines(this.adjustments),
+      taxes: lines(this.taxes),
+      shipping: lines(this.shipping),
+      total: this.total.toDecimal(),
+    };
+  }
+
+  // Invoice-style table with right-aligned amounts
+  toTable() {
+    const rows = [
+      ["Subtotal", "", this.subtotal],
+      ...this.lines.map(({ ruleId, label, amount }) => [label, ruleId, amount]),
+      ["Total", "", this.total],
+    ].map(([label, ruleId, amount]) => [
+      label,
+      ruleId ? `[${ruleId}]` : "",
+      amount.toDecimal(),
+    ]);
+    const widths = [0, 1, 2].map((column) =>
+      Math.max(...rows.map((row) => row[column].length))
+    );
+    const format = ([label, ruleId, amount]) =>
+      `${label.padEnd(widths[0])}  ${ruleId.padEnd(widths[1])}  ` +
+      amount.padStart(widths[2]);
+    const rule = "-".repeat(widths[0] + widths[1] + widths[2] + 4);
+    return [
+      format(rows[0]),
+      rule,
+      ...rows.slice(1, -1).map(format),
+      rule,
+      `${format(rows[rows.length - 1])} ${this.currency}`,
+    ].join("\n");
+  }
+}
+
+class PricingPipeline {
+  // Rule "type" -> step class; register more to extend rule files
+  static stepTypes = {
+    discount: Discount,
+    itemDiscount: ItemDiscount,
+    fee: Fees,
+    tax: Tax,
+    shipping: Shipping,
+  };
+
+  // The original fixed calculation: 10% discount, 5% fees, 10% shipping
+  static default() {
+    return new PricingPipeline([
+      new Discount({ rate: 0.1 }),
+      new Fees({ rate: 0.05 }),
+      new Shipping({ tiers: [{ rate: 0.1 }] }),
+    ]);
+  }
+
+  // rules: { steps: [{ id, type, label?, when?, ...step options }] }
+  static fromRules(rules) {
+    if (!rules || !Array.isArray(rules.steps)) {
+      throw new Error("Pricing rules must have a steps array");
+    }
+    const ids = new Set();
+    return new PricingPipeline(
+      rules.steps.map(({ type, ...options }, index) => {
+        const Step = PricingPipeline.stepTypes[type];
+        if (!Step) {
+          throw new Error(`Rule ${index + 1}: unknown step type "${type}"`);
+        }
+        if (!options.id || ids.has(options.id)) {
+          throw new Error(`Rule ${index + 1}: id is missing or not unique`);
+        }
+        ids.add(options.id);
+        return new Step(options);
+      })
+    );
+  }
+
+  static fromFile(filePath) {
+    return PricingPipeline.fromRules(
+      JSON.parse(fs.readFileSync(filePath, "utf8"))
+    );
+  }
+
+  constructor(steps, { rounding = RoundingMode.HALF_UP } = {}) {
+    this.steps = steps;
+    this.rounding = rounding;
+  }
+
+  // price is Money; returns a PriceBreakdown
+  run(price, context = {}) {
+    context = { rounding: this.rounding, ...context };
+    const breakdown = new PriceBreakdown(price);
+    for (const step of this.steps) {
+      if (!step.appliesTo(context)) {
+        continue;
+      }
+      const before = breakdown.total;
+      breakdown.addLine(step.constructor.kind, {
+        ruleId: step.id,
+        label: step.label,
+        amount: step.apply(before, context).subtract(before),
+      });
+    }
+    return breakdown;
+  }
+}
+
+class CartItem {
+  constructor(
+    { sku, unitPrice, quantity = 1, weight = 0, category },
+    currency
+  ) {
+    if (typeof sku !== "string" || sku === "") {
+      throw new Error("Cart item needs a sku");
+    }
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw new Error(`Quantity of ${sku} must be a positive integer`);
+    }
+    this.sku = sku;
+    this.unitPrice =
+      unitPrice instanceof Money ? unitPrice : Money.of(unitPrice, currency);
+    this.quantity = quantity;
+    this.weight = weight; // per unit
+    this.category = category;
+  }
+
+  total() {
+    return this.unitPrice.multiply(this.quantity);
+  }
+}
+
+class Cart {
+  constructor({ currency = "USD", couponCode } = {}) {
+    this.currency = currency;
+    this.couponCode = couponCode;
+    this.lines = new Map(); // sku -> CartItem
+  }
+
+  // Adding a sku that is already in the cart increases its quantity
+  add(item) {
+    const existing = this.lines.get(item.sku);
+    const quantity = (existing ? existing.quantity : 0) + (item.quantity || 1);
+    this.lines.set(
+      item.sku,
+      new CartItem({ ...existing, ...item, quantity }, this.currency)
+    );
+    return this;
+  }
+
+  remove(sku) {
+    return this.lines.delete(sku);
+  }
+
+  get items() {
+    return [...this.lines.values()];
+  }
+
+  get isEmpty() {
+    return this.lines.size === 0;
+  }
+
+  get weight() {
+    return this.items.reduce(
+      (sum, item) => sum + item.weight * item.quantity,
+      0
+    );
+  }
+
+  subtotal() {
+    return this.items.reduce(
+      (sum, item) => sum.add(item.total()),
+      Money.of(0, this.currency)
+    );
+  }
+}
+
+class OutOfStockError extends Error {
+  constructor(sku, requested, available) {
+    super(
+      `Not enough stock for ${sku}: requested ${requested}, ${available} left`
+    );
+    this.name = "OutOfStockError";
+    this.sku = sku;
+    this.requested = requested;
+    this.available = available;
+  }
+}
+
+class PaymentDeclinedError extends Error {
+  constructor(customerId, amount) {
+    super(`Payment of ${amount} declined for customer "${customerId}"`);
+    this.name = "PaymentDeclinedError";
+    this.customerId = customerId;
+    this.amount = amount;
+  }
+}
+
+class ShippingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ShippingError";
+  }
+}
+
+// Thrown by checkout(); cause is the error of the step that failed
+class CheckoutError extends Error {
+  constructor(order, step, cause) {
+    super(`Checkout of order ${order.id} failed at ${step}: ${cause.message}`, {
+      cause,
+    });
+    this.name = "CheckoutError";
+    this.order = order;
+    this.step = step;
+  }
+}
+
+// In-memory stock; reserve() holds units until commit() or release()
+class InventoryService {
+  constructor(stock = {}) {
+    this.stock = new Map(Object.entries(stock)); // sku -> available units
+    this.reservations = new Map(); // id -> [{ sku, quantity }]
+    this.nextReservation = 1;
+  }
+
+  available(sku) {
+    return this.stock.get(sku) || 0;
+  }
+
+  // All or nothing: nothing is held if any line is short
+  reserve(items) {
+    for (const { sku, quantity } of items) {
+      if (this.available(sku) < quantity) {
+        throw new OutOfStockError(sku, quantity, this.available(sku));
+      }
+    }
+    const lines = items.map(({ sku, quantity }) => ({ sku, quantity }));
+    lines.forEach(({ sku, quantity }) =>
+      this.stock.set(sku, this.available(sku) - quantity)
+    );
+    const id = `R${this.nextReservation++}`;
+    this.reservations.set(id, lines);
+    return id;
+  }
+
+  // The reserved units are sold; they do not come back
+  commit(id) {
+    return this.reservations.delete(id);
+  }
+
+  release(id) {
+    const lines = this.reservations.get(id);
+    if (!lines) {
+      return false;
+    }
+    lines.forEach(({ sku, quantity }) =>
+      this.stock.set(sku, this.available(sku) + quantity)
+    );
+    this.reservations.delete(id);
+    return true;
+  }
+}
+
+// In-memory payments against per-customer balances
+class PaymentService {
+  constructor(balances = {}, currency = "USD") {
+    this.balances = new Map(
+      Object.entries(balances).map(([id, amount]) => [
+        id,
+        Money.of(amount, currency),
+      ])
+    );
+    this.payments = new Map(); // id -> { customerId, amount, refunded }
+    this.nextPayment = 1;
+  }
+
+  balanceOf(customerId) {
+    return this.balances.get(customerId);
+  }
+
+  charge(customerId, amount) {
+    const balance = this.balances.get(customerId);
+    if (!balance || balance.compare(amount) < 0) {
+      throw new PaymentDeclinedError(customerId, amount);
+    }
+    this.balances.set(customerId, balance.subtract(amount));
+    const id = `P${this.nextPayment++}`;
+    this.payments.set(id, { customerId, amount, refunded: false });
+    return id;
+  }
+
+  refund(id) {
+    const payment = this.payments.get(id);
+    if (!payment || payment.refunded) {
+      return false;
+    }
+    const { customerId, amount } = payment;
+    this.balances.set(customerId, this.balances.get(customerId).add(amount));
+    payment.refunded = true;
+    return true;
+  }
+}
+
+class ShippingService {
   constructor() {
-    this.discount = new Discount();
-    this.shipping = new Shipping();
-    this.fees = new Fees();
+    this.shipments = new Map(); // tracking number -> { orderId, address }
+    this.nextShipment = 1;
+  }
+
+  ship(order, address) {
+    if (!address) {
+      throw new ShippingError(`Order ${order.id} has no shipping address`);
+    }
+    const trackingNumber = `TRK${String(this.nextShipment++).padStart(6, "0")}`;
+    this.shipments.set(trackingNumber, { orderId: order.id, address });
+    return trackingNumber;
+  }
+
+  cancel(trackingNumber) {
+    return this.shipments.delete(trackingNumber);
+  }
+}
+
+// Allowed status changes; cancelled is final
+const ORDER_TRANSITIONS = {
+  pending: ["paid", "cancelled"],
+  paid: ["shipped", "cancelled"],
+  shipped: ["cancelled"],
+  cancelled: [],
+};
+
+class Order {
+  static nextId = 1;
+
+  constructor(customer, items) {
+    this.id = `O${Order.nextId++}`;
+    this.customer = customer;
+    this.items = items;
+    this.status = "pending";
+    this.history = [{ status: "pending", at: new Date() }];
+    this.breakdown = null;
+    this.paymentId = null;
+    this.trackingNumber = null;
+    this.cancelReason = null;
+  }
+
+  transition(status) {
+    if (!ORDER_TRANSITIONS[this.status].includes(status)) {
+      throw new Error(
+        `Order ${this.id} cannot go from ${this.status} to ${status}`
+      );
+    }
+    this.status = status;
+    this.history.push({ status, at: new Date() });
+  }
+
+  pay(paymentId) {
+    this.transition("paid");
+    this.paymentId = paymentId;
   }
 
-  calculate(price) {
-    price = this.discount.calculate(price);
-    console.log(`Discount: ${price}`);
-    price = this.fees.calculate(price);
-    console.log(`Fees: ${price}`);
-    price += this.shipping.calculate(price);
-    console.log(`Shipping: ${price}`);
-    return price;
+  ship(trackingNumber) {
+    this.transition("shipped");
+    this.trackingNumber = trackingNumber;
   }
+
+  cancel(reason) {
+    this.transition("cancelled");
+    this.cancelReason = reason;
+  }
+}
+
+class ShopFacade {
+  constructor(
+    pipeline = PricingPipeline.default(),
+    {
+      currency = "USD",
+      inventory = new InventoryService(),
+      payments = new PaymentService({}, currency),
+      shipping = new ShippingService(),
+    } = {}
+  ) {
+    this.pipeline = pipeline;
+    this.currency = currency;
+    this.inventory = inventory;
+    this.payments = payments;
+    this.shipping = shipping;
+  }
+
+  // price: Money or major units; context: { customer: { tier }, couponCode,
+  // date, weight, rounding }
+  calculate(price, context = {}) {
+    if (!(price instanceof Money)) {
+      price = Money.of(price, this.currency);
+    }
+    return this.pipeline.run(price, context);
+  }
+
+  // customer: { id, tier, address }. Returns the shipped Order or throws a
+  // CheckoutError after undoing every step that had completed.
+  checkout(cart, customer) {
+    if (cart.isEmpty) {
+      throw new Error("Cannot check out an empty cart");
+    }
+    const order = new Order(customer, cart.items);
+    const undo = [];
+    let step = "inventory";
+    try {
+      const reservation = this.inventory.reserve(cart.items);
+      undo.push(() => this.inventory.release(reservation));
+
+      step = "pricing";
+      order.breakdown = this.calculate(cart.subtotal(), {
+        customer,
+        couponCode: cart.couponCode,
+        weight: cart.weight,
+        items: cart.items,
+      });
+
+      step = "payment";
+      const paymentId = this.payments.charge(
+        customer.id,
+        order.breakdown.total
+      );
+      undo.push(() => this.payments.refund(paymentId));
+      order.pay(paymentId);
+
+      step = "shipping";
+      order.ship(this.shipping.ship(order, customer.address));
+
+      this.inventory.commit(reservation);
+      return order;
+    } catch (error) {
+      undo.reverse().forEach((rollback) => rollback());
+      order.cancel(`${step} failed: ${error.message}`);
+      throw new CheckoutError(order, step, error);
+    }
+  }
+}
+
+function buy(price, context, shop = new ShopFacade()) {
+  const breakdown = shop.calculate(price, context);
+  console.log(breakdown.toTable());
+  return breakdown;
 }
 
-function buy(price) {
-  const shop = new ShopFacade();
-  const total = shop.calculate(price);
-  console.log(`Total: ${total}`);
+const receipt = buy(150000);
+console.log(JSON.stringify(receipt, null, 2));
+
+// Exact minor units: no 0.1 + 0.2 style drift, rounding is explicit
+console.log("\nFloat:", 150000.1 * 0.9 * 1.05);
+console.log(
+  "Money:",
+  Money.of("150000.10").multiply(0.9).multiply(1.05).toString()
+);
+console.log(
+  "2.50 USD * 5%, HALF_EVEN vs HALF_UP:",
+  Money.of("2.50").multiply(0.05, RoundingMode.HALF_EVEN).toString(),
+  Money.of("2.50").multiply(0.05, RoundingMode.HALF_UP).toString()
+);
+
+console.log("\nWith rules from pricing-rules.json:");
+const ruleShop = new ShopFacade(
+  PricingPipeline.fromFile(path.join(__dirname, "pricing-rules.json"))
+);
+buy(
+  150000,
+  {
+    customer: { tier: "gold" },
+    couponCode: "summer",
+    date: "2025-07-15",
+    weight: 3,
+  },
+  ruleShop
+);
+
+console.log("\nCheckout of a cart:");
+const inventory = new InventoryService({ "KB-01": 10, "MS-02": 5, "CB-03": 1 });
+const payments = new PaymentService({ alice: 1000000, bob: 1000 });
+const shop = new ShopFacade(
+  PricingPipeline.fromRules({
+    steps: [
+      {
+        id: "accessory-sale",
+        type: "itemDiscount",
+        label: "Accessories -20%",
+        category: "accessory",
+        rate: 0.2,
+      },
+      { id: "order-discount", type: "discount", label: "Discount", rate: 0.1 },
+      { id: "vat", type: "tax", label: "VAT", rate: 0.1 },
+      {
+        id: "shipping",
+        type: "shipping",
+        label: "Shipping",
+        basis: "weight",
+        tiers: [{ upTo: 2, amount: 20000 }, { amount: 35000 }],
+      },
+    ],
+  }),
+  { inventory, payments }
+);
+
+const cart = new Cart()
+  .add({ sku: "KB-01", unitPrice: 120000, weight: 0.8, category: "keyboard" })
+  .add({ sku: "MS-02", unitPrice: 45000, weight: 0.1, category: "accessory" })
+  .add({ sku: "MS-02", quantity: 2 });
+
+const alice = { id: "alice", tier: "gold", address: "1 Main St" };
+const order = shop.checkout(cart, alice);
+console.log(
+  `Order ${order.id}: ${order.status}, payment ${order.paymentId},`,
+  `tracking ${order.trackingNumber}`
+);
+console.log(order.breakdown.toTable());
+console.log("Stock left:", Object.fromEntries(inventory.stock));
+console.log("Alice balance:", payments.balanceOf("alice").toString());
+
+// Failures roll back: bob cannot pay, so the reserved stock is released
+const cableCart = new Cart().add({ sku: "CB-03", unitPrice: 9000 });
+for (const customer of [
+  { id: "bob", address: "2 Side St" },
+  { id: "alice" }, // no address: payment is refunded too
+]) {
+  try {
+    shop.checkout(cableCart, customer);
+  } catch (error) {
+    console.log(`Error: ${error.message}`);
+    console.log(`  Order ${error.order.id}: ${error.order.status}`);
+    console.log(
+      `  CB-03 in stock: ${inventory.available("CB-03")},`,
+      `${customer.id} balance: ${payments.balanceOf(customer.id)}`
+    );
+  }
 }
 
-buy(150000);
+try {
+  shop.checkout(
+    new Cart().add({ sku: "CB-03", quantity: 2, unitPrice: 9000 }),
+    alice
+  );
+} catch (error) {
+  console.log(`Error: ${error.message}`);
+}
 
 /**
  * WITHOUT FACADE PATTERN
@@ -11,42 +11,828 @@
  * - Prototype: Interface/abstract class that defines clone() method
  * - Concrete Prototype: Implements prototype interface and defines clone logic
  * - Client: Creates new objects by requesting prototype to clone
+ *
+ * Here Shape.clone() is a generic deep copy, so subclasses get cloning for
+ * free. Nested objects, arrays, Maps, Sets, Dates and circular references are
+ * copied and class identity is kept. A subclass can list fields in
+ * `static cloneFields` to copy them shallowly or leave them out.
+ *
+ * PrototypeRegistry keeps frozen, preconfigured shapes under names and
+ * creates new shapes from them with type-checked overrides.
+ *
+ * Shapes also carry geometry (area, perimeter, bounding box, hit testing and
+ * translate/scale/rotate). Group is a composite shape, so cloning a group
+ * copies its whole tree of children.
+ *
+ * Registered shape classes serialize to a versioned JSON document and back,
+ * and export to SVG markup.
  */
 
 console.log("================================================");
+
+const assert = require("assert");
+
+const SHAPE_FORMAT_VERSION = 1;
+
+// How a field is copied when its owner is cloned
+const CloneStrategy = Object.freeze({
+  DEEP: "deep", // default: independent copy
+  SHALLOW: "shallow", // the clone shares the same reference
+  EXCLUDE: "exclude", // the field is left out of the clone
+});
+
+// cloneFields of a class merged with those of its ancestors; subclasses win
+function cloneFieldsOf(object) {
+  const levels = [];
+  for (
+    let ctor = object.constructor;
+    typeof ctor === "function" && ctor !== Object;
+    ctor = Object.getPrototypeOf(ctor)
+  ) {
+    if (Object.prototype.hasOwnProperty.call(ctor, "cloneFields")) {
+      levels.unshift(ctor.cloneFields);
+    }
+  }
+  const fields = Object.assign({}, ...levels);
+  for (const [field, strategy] of Object.entries(fields)) {
+    if (!Object.values(CloneStrategy).includes(strategy)) {
+      throw new Error(
+        `Unknown clone strategy "${strategy}" for field "${field}" of ${object.constructor.name}`
+      );
+    }
+  }
+  return fields;
+}
+
+// `seen` maps originals to copies so shared and circular references are
+// preserved in the clone
+function deepClone(value, seen = new Map()) {
+  // Primitives are immutable and functions are shared
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+  if (seen.has(value)) {
+    return seen.get(value);
+  }
+
+  if (value instanceof Date) {
+    const copy = new value.constructor(value.getTime());
+    seen.set(value, copy);
+    return copy;
+  }
+  if (value instanceof RegExp) {
+    const copy = new value.constructor(value.source, value.flags);
+    seen.set(value, copy);
+    return copy;
+  }
+  if (value instanceof DataView) {
+    // DataView has no slice(); copy the bytes it views
+    const copy = new DataView(
+      value.buffer.slice(value.byteOffset, value.byteOffset + value.byteLength)
+    );
+    seen.set(value, copy);
+    return copy;
+  }
+  if (ArrayBuffer.isView(value) || value instanceof ArrayBuffer) {
+    const copy = value.slice(0);
+    seen.set(value, copy);
+    return copy;
+  }
+  if (value instanceof Map) {
+    const copy = new value.constructor();
+    seen.set(value, copy);
+    value.forEach((item, key) =>
+      copy.set(deepClone(key, seen), deepClone(item, seen))
+    );
+    return copy;
+  }
+  if (value instanceof Set) {
+    const copy = new value.constructor();
+    seen.set(value, copy);
+    value.forEach((item) => copy.add(deepClone(item, seen)));
+    return copy;
+  }
+  if (Array.isArray(value)) {
+    const copy = new Array(value.length);
+    seen.set(value, copy);
+    value.forEach((item, index) => (copy[index] = deepClone(item, seen)));
+    return copy;
+  }
+
+  // Plain objects and class instances keep their prototype
+  const copy = Object.create(Object.getPrototypeOf(value));
+  seen.set(value, copy);
+  const fields = cloneFieldsOf(value);
+  for (const key of Reflect.ownKeys(value)) {
+    if (!Object.prototype.propertyIsEnumerable.call(value, key)) {
+      continue;
+    }
+    const strategy = fields[key] || CloneStrategy.DEEP;
+    if (strategy === CloneStrategy.SHALLOW) {
+      copy[key] = value[key];
+    } else if (strategy === CloneStrategy.DEEP) {
+      copy[key] = deepClone(value[key], seen);
+    }
+  }
+  return copy;
+}
+
+// Geometry helpers; angles are in degrees, counter-clockwise
+function rotatePoint(point, degrees, origin) {
+  const radians = (degrees * Math.PI) / 180;
+  const cos = Math.cos(radians);
+  const sin = Math.sin(radians);
+  const dx = point.x - origin.x;
+  const dy = point.y - origin.y;
+  return {
+    x: origin.x + dx * cos - dy * sin,
+    y: origin.y + dx * sin + dy * cos,
+  };
+}
+
+function scalePoint(point, factor, origin) {
+  return {
+    x: origin.x + (point.x - origin.x) * factor,
+    y: origin.y + (point.y - origin.y) * factor,
+  };
+}
+
+function boxOfPoints(points) {
+  const xs = points.map((point) => point.x);
+  const ys = points.map((point) => point.y);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+}
+
+function unionOfBoxes(boxes) {
+  if (boxes.length === 0) {
+    return null;
+  }
+  return boxOfPoints(
+    boxes.flatMap((box) => [
+      { x: box.x, y: box.y },
+      { x: box.x + box.width, y: box.y + box.height },
+    ])
+  );
+}
+
 // Prototype interface
 class Shape {
+  // Subclasses may override per field, e.g. { cache: CloneStrategy.EXCLUDE }
+  static cloneFields = {};
+
+  // Serializable shape classes by type name
+  static types = new Map();
+
+  // Called on a subclass to make it serializable: Triangle.register()
+  static register(name = this.name) {
+    const existing = Shape.types.get(name);
+    if (existing && existing !== this) {
+      throw new Error(`Shape type "${name}" is already registered`);
+    }
+    Shape.types.set(name, this);
+    return this;
+  }
+
+  static fromJSON(json) {
+    const document = typeof json === "string" ? JSON.parse(json) : json;
+    if (!isPlainObject(document) || !("version" in document)) {
+      throw new Error("Not a shape document: missing version");
+    }
+    if (document.version !== SHAPE_FORMAT_VERSION) {
+      throw new Error(
+        `Unsupported shape format version ${document.version} (supported: ${SHAPE_FORMAT_VERSION})`
+      );
+    }
+    return decodeShape(document.shape);
+  }
+
+  constructor() {
+    this.style = {};
+  }
+
   clone() {
-    throw new Error("clone() method must be implemented");
+    return deepClone(this);
+  }
+
+  // Used by JSON.stringify(shape)
+  toJSON() {
+    return { version: SHAPE_FORMAT_VERSION, shape: encodeShape(this, []) };
+  }
+
+  toSVG() {
+    throw new Error("toSVG() method must be implemented");
+  }
+
+  area() {
+    throw new Error("area() method must be implemented");
+  }
+
+  perimeter() {
+    throw new Error("perimeter() method must be implemented");
+  }
+
+  // { x, y, width, height } of the smallest axis-aligned box around the shape
+  boundingBox() {
+    throw new Error("boundingBox() method must be implemented");
+  }
+
+  containsPoint(x, y) {
+    throw new Error("containsPoint() method must be implemented");
+  }
+
+  center() {
+    throw new Error("center() method must be implemented");
+  }
+
+  translate(dx, dy) {
+    throw new Error("translate() method must be implemented");
+  }
+
+  // Resize/turn in place around the shape's own center
+  scaleAboutCenter(factor) {
+    throw new Error("scaleAboutCenter() method must be implemented");
+  }
+
+  rotateAboutCenter(degrees) {
+    throw new Error("rotateAboutCenter() method must be implemented");
+  }
+
+  scale(factor, origin = this.center()) {
+    if (!(typeof factor === "number" && factor > 0)) {
+      throw new RangeError("Scale factor must be a positive number");
+    }
+    const before = this.center();
+    this.scaleAboutCenter(factor);
+    const after = scalePoint(before, factor, origin);
+    return this.translate(after.x - before.x, after.y - before.y);
+  }
+
+  rotate(degrees, origin = this.center()) {
+    const before = this.center();
+    this.rotateAboutCenter(degrees);
+    const after = rotatePoint(before, degrees, origin);
+    return this.translate(after.x - before.x, after.y - before.y);
   }
 }
 
 // Concrete prototypes
 class Rectangle extends Shape {
-  constructor(width, height) {
+  // (x, y) is the top-left corner before rotation; rotation is about the center
+  constructor(width, height, x = 0, y = 0) {
     super();
     this.width = width;
     this.height = height;
     this.type = "Rectangle";
+    this.x = x;
+    this.y = y;
+    this.rotation = 0;
   }
 
-  clone() {
-    return new Rectangle(this.width, this.height);
+  area() {
+    return this.width * this.height;
+  }
+
+  perimeter() {
+    return 2 * (this.width + this.height);
+  }
+
+  center() {
+    return { x: this.x + this.width / 2, y: this.y + this.height / 2 };
+  }
+
+  corners() {
+    const { x, y, width, height } = this;
+    const center = this.center();
+    return [
+      { x, y },
+      { x: x + width, y },
+      { x: x + width, y: y + height },
+      { x, y: y + height },
+    ].map((corner) => rotatePoint(corner, this.rotation, center));
+  }
+
+  boundingBox() {
+    return boxOfPoints(this.corners());
+  }
+
+  containsPoint(x, y) {
+    // Undo the rotation so the test is against the axis-aligned rectangle
+    const point = rotatePoint({ x, y }, -this.rotation, this.center());
+    return (
+      point.x >= this.x &&
+      point.x <= this.x + this.width &&
+      point.y >= this.y &&
+      point.y <= this.y + this.height
+    );
+  }
+
+  translate(dx, dy) {
+    this.x += dx;
+    this.y += dy;
+    return this;
+  }
+
+  scaleAboutCenter(factor) {
+    const center = this.center();
+    this.width *= factor;
+    this.height *= factor;
+    this.x = center.x - this.width / 2;
+    this.y = center.y - this.height / 2;
+  }
+
+  rotateAboutCenter(degrees) {
+    this.rotation = (((this.rotation + degrees) % 360) + 360) % 360;
+  }
+
+  toSVG() {
+    const attributes = {
+      x: this.x,
+      y: this.y,
+      width: this.width,
+      height: this.height,
+    };
+    if (this.rotation !== 0) {
+      const { x, y } = this.center();
+      attributes.transform = `rotate(${[this.rotation, x, y]
+        .map(svgNumber)
+        .join(" ")})`;
+    }
+    return svgElement("rect", attributes, this.style);
   }
 }
 
 class Circle extends Shape {
-  constructor(radius) {
+  // (x, y) is the center
+  constructor(radius, x = 0, y = 0) {
     super();
     this.radius = radius;
     this.type = "Circle";
+    this.x = x;
+    this.y = y;
   }
 
-  clone() {
-    return new Circle(this.radius);
+  area() {
+    return Math.PI * this.radius ** 2;
+  }
+
+  perimeter() {
+    return 2 * Math.PI * this.radius;
+  }
+
+  center() {
+    return { x: this.x, y: this.y };
+  }
+
+  boundingBox() {
+    return {
+      x: this.x - this.radius,
+      y: this.y - this.radius,
+      width: 2 * this.radius,
+      height: 2 * this.radius,
+    };
+  }
+
+  containsPoint(x, y) {
+    return Math.hypot(x - this.x, y - this.y) <= this.radius;
+  }
+
+  translate(dx, dy) {
+    this.x += dx;
+    this.y += dy;
+    return this;
+  }
+
+  scaleAboutCenter(factor) {
+    this.radius *= factor;
+  }
+
+  rotateAboutCenter(degrees) {
+    // A circle looks the same at any angle
+  }
+
+  toSVG() {
+    return svgElement(
+      "circle",
+      { cx: this.x, cy: this.y, r: this.radius },
+      this.style
+    );
+  }
+}
+
+// Composite shape: transforms apply to every child around a shared origin
+class Group extends Shape {
+  constructor(children = []) {
+    super();
+    this.type = "Group";
+    this.children = [];
+    children.forEach((child) => this.add(child));
+  }
+
+  add(shape) {
+    if (!(shape instanceof Shape)) {
+      throw new TypeError("Group children must be shapes");
+    }
+    if (shape === this || (shape instanceof Group && shape.contains(this))) {
+      throw new Error("A group cannot contain itself");
+    }
+    this.children.push(shape);
+    return this;
+  }
+
+  remove(shape) {
+    const index = this.children.indexOf(shape);
+    if (index === -1) {
+      return false;
+    }
+    this.children.splice(index, 1);
+    return true;
+  }
+
+  // True if shape is somewhere in this group's tree
+  contains(shape) {
+    return this.children.some(
+      (child) =>
+        child === shape || (child instanceof Group && child.contains(shape))
+    );
+  }
+
+  // Sum over children; overlapping areas are counted more than once
+  area() {
+    return this.children.reduce((total, child) => total + child.area(), 0);
+  }
+
+  perimeter() {
+    return this.children.reduce((total, child) => total + child.perimeter(), 0);
+  }
+
+  // null for an empty group
+  boundingBox() {
+    return unionOfBoxes(
+      this.children.map((child) => child.boundingBox()).filter(Boolean)
+    );
+  }
+
+  center() {
+    const box = this.boundingBox();
+    return box
+      ? { x: box.x + box.width / 2, y: box.y + box.height / 2 }
+      : { x: 0, y: 0 };
+  }
+
+  containsPoint(x, y) {
+    return this.children.some((child) => child.containsPoint(x, y));
+  }
+
+  translate(dx, dy) {
+    this.children.forEach((child) => child.translate(dx, dy));
+    return this;
+  }
+
+  scale(factor, origin = this.center()) {
+    this.children.forEach((child) => child.scale(factor, origin));
+    return this;
+  }
+
+  rotate(degrees, origin = this.center()) {
+    this.children.forEach((child) => child.rotate(degrees, origin));
+    return this;
+  }
+
+  toSVG() {
+    const children = this.children.map((child) => child.toSVG()).join("");
+    return svgElement("g", {}, this.style, children);
+  }
+}
+
+Rectangle.register();
+Circle.register();
+Group.register();
+
+// JSON encoding. Values JSON cannot represent are wrapped in single-key
+// objects tagged with "$" (e.g. { $date: "..." }) so round-trips are lossless.
+function encodeShape(shape, ancestors) {
+  const type = [...Shape.types].find(
+    ([, Class]) => Class === shape.constructor
+  );
+  if (!type) {
+    throw new Error(
+      `Shape class ${shape.constructor.name} is not registered; call ${shape.constructor.name}.register()`
+    );
+  }
+  const props = {};
+  for (const [key, value] of Object.entries(shape)) {
+    props[key] = encodeValue(value, [...ancestors, shape]);
+  }
+  return { type: type[0], props };
+}
+
+function encodeValue(value, ancestors) {
+  if (typeof value === "number" && !Number.isFinite(value)) {
+    return { $number: String(value) };
+  }
+  if (value === undefined) {
+    return { $undefined: true };
+  }
+  if (
+    value === null ||
+    ["string", "number", "boolean"].includes(typeof value)
+  ) {
+    return value;
+  }
+  if (typeof value !== "object") {
+    throw new TypeError(`Cannot serialize a ${typeof value} value`);
+  }
+  if (ancestors.includes(value)) {
+    throw new TypeError("Cannot serialize a circular reference");
+  }
+  const path = [...ancestors, value];
+  if (value instanceof Shape) {
+    return { $shape: encodeShape(value, ancestors) };
+  }
+  if (value instanceof Date) {
+    return { $date: value.toISOString() };
+  }
+  if (value instanceof Map) {
+    return {
+      $map: [...value].map(([key, item]) => [
+        encodeValue(key, path),
+        encodeValue(item, path),
+      ]),
+    };
+  }
+  if (value instanceof Set) {
+    return { $set: [...value].map((item) => encodeValue(item, path)) };
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => encodeValue(item, path));
+  }
+  if (!isPlainObject(value)) {
+    throw new TypeError(`Cannot serialize ${typeOf(value)} instances`);
+  }
+  const encoded = {};
+  for (const [key, item] of Object.entries(value)) {
+    encoded[key] = encodeValue(item, path);
+  }
+  // Escape plain objects whose own keys could be mistaken for a tag
+  return Object.keys(value).some((key) => key.startsWith("$"))
+    ? { $object: encoded }
+    : encoded;
+}
+
+function decodeShape(node) {
+  if (!isPlainObject(node) || typeof node.type !== "string") {
+    throw new Error("Invalid shape node: expected { type, props }");
+  }
+  const Class = Shape.types.get(node.type);
+  if (!Class) {
+    const known = [...Shape.types.keys()].join(", ");
+    throw new Error(
+      `Unknown shape type "${node.type}". Registered types: ${known}`
+    );
+  }
+  // Fields are restored as saved, so the constructor is not run
+  const shape = Object.create(Class.prototype);
+  for (const [key, value] of Object.entries(node.props || {})) {
+    defineField(shape, key, decodeValue(value));
+  }
+  return shape;
+}
+
+// Plain assignment of "__proto__" would swap the prototype instead of
+// restoring a field
+function defineField(target, key, value) {
+  Object.defineProperty(target, key, {
+    value,
+    writable: true,
+    enumerable: true,
+    configurable: true,
+  });
+}
+
+function decodeValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(decodeValue);
+  }
+  if (!isPlainObject(value)) {
+    return value;
+  }
+  const keys = Object.keys(value);
+  if (keys.length === 1 && keys[0].startsWith("$")) {
+    const data = value[keys[0]];
+    switch (keys[0]) {
+      case "$shape":
+        return decodeShape(data);
+      case "$date":
+        return new Date(data);
+      case "$map":
+        return new Map(
+          data.map(([key, item]) => [decodeValue(key), decodeValue(item)])
+        );
+      case "$set":
+        return new Set(data.map(decodeValue));
+      case "$number":
+        return Number(data);
+      case "$undefined":
+        return undefined;
+      case "$object":
+        return decodeObject(data);
+      default:
+        throw new Error(`Unknown tag "${keys[0]}" in shape document`);
+    }
+  }
+  return decodeObject(value);
+}
+
+function decodeObject(value) {
+  const decoded = {};
+  for (const [key, item] of Object.entries(value)) {
+    defineField(decoded, key, decodeValue(item));
+  }
+  return decoded;
+}
+
+// SVG export
+function svgNumber(value) {
+  return +value.toFixed(3);
+}
+
+function escapeAttribute(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+const SVG_ATTRIBUTE_NAME = /^[a-zA-Z][\w-]*$/;
+
+// Scalar style entries become presentation attributes: strokeWidth -> stroke-width
+function svgElement(tag, attributes, style = {}, children = "") {
+  const entries = Object.entries(attributes).map(([name, value]) => [
+    name,
+    typeof value === "number" ? svgNumber(value) : value,
+  ]);
+  for (const [name, value] of Object.entries(style)) {
+    if (["string", "number"].includes(typeof value)) {
+      entries.push([
+        name.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`),
+        value,
+      ]);
+    }
+  }
+  for (const [name] of entries) {
+    if (!SVG_ATTRIBUTE_NAME.test(name)) {
+      throw new Error(`Invalid SVG attribute name "${name}"`);
+    }
+  }
+  const rendered = entries
+    .map(([name, value]) => ` ${name}="${escapeAttribute(value)}"`)
+    .join("");
+  return children
+    ? `<${tag}${rendered}>${children}</${tag}>`
+    : `<${tag}${rendered}/>`;
+}
+
+// Standalone SVG document sized to fit the given shapes
+function toSVGDocument(shapes, { padding = 0 } = {}) {
+  const box = unionOfBoxes(
+    shapes.map((shape) => shape.boundingBox()).filter(Boolean)
+  ) || { x: 0, y: 0, width: 0, height: 0 };
+  const viewBox = [
+    box.x - padding,
+    box.y - padding,
+    box.width + 2 * padding,
+    box.height + 2 * padding,
+  ].map(svgNumber);
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${viewBox[2]}" height="${
+      viewBox[3]
+    }" viewBox="${viewBox.join(" ")}">` +
+    shapes.map((shape) => shape.toSVG()).join("") +
+    "</svg>"
+  );
+}
+
+// Registry of named, frozen templates
+class PrototypeRegistry {
+  constructor() {
+    this.templates = new Map();
+  }
+
+  register(name, shape) {
+    if (!(shape instanceof Shape)) {
+      throw new TypeError(`Template "${name}" must be a Shape`);
+    }
+    if (this.templates.has(name)) {
+      throw new Error(`Template "${name}" is already registered`);
+    }
+    // Store a private frozen copy so later changes to `shape` do not leak
+    // in. Shallow fields stay shared with the caller and are not frozen.
+    this.templates.set(name, deepFreeze(shape.clone()));
+    return this;
+  }
+
+  has(name) {
+    return this.templates.has(name);
+  }
+
+  get(name) {
+    const template = this.templates.get(name);
+    if (!template) {
+      const names = this.list().join(", ") || "(none)";
+      throw new Error(
+        `Unknown template "${name}". Registered templates: ${names}`
+      );
+    }
+    return template;
+  }
+
+  list() {
+    return [...this.templates.keys()];
+  }
+
+  remove(name) {
+    return this.templates.delete(name);
+  }
+
+  create(name, overrides = {}) {
+    const shape = this.get(name).clone();
+    applyOverrides(shape, overrides, name, "");
+    return shape;
+  }
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value !== "object") return typeof value;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null
+    ? "object"
+    : value.constructor.name;
+}
+
+function isPlainObject(value) {
+  return typeOf(value) === "object";
+}
+
+// Overrides may only set existing fields, with a value of the same type.
+// Plain objects such as style are merged key by key.
+function applyOverrides(target, overrides, template, path) {
+  for (const key of Object.keys(overrides)) {
+    const field = path + key;
+    if (!Object.prototype.hasOwnProperty.call(target, key)) {
+      throw new TypeError(
+        `Unknown override "${field}" for template "${template}"`
+      );
+    }
+    const current = target[key];
+    const next = overrides[key];
+    if (isPlainObject(current) && isPlainObject(next)) {
+      applyOverrides(current, next, template, `${field}.`);
+      continue;
+    }
+    const expected = typeOf(current);
+    const actual = typeOf(next);
+    if (current !== null && current !== undefined && expected !== actual) {
+      throw new TypeError(
+        `Override "${field}" for template "${template}" must be ${expected}, got ${actual}`
+      );
+    }
+    target[key] = deepClone(next);
   }
 }
 
+// Objects are frozen in place. Maps and Sets still accept set()/add(), so
+// only their contents are frozen. Shallow clone fields are shared with the
+// original, so they are left alone.
+function deepFreeze(value, seen = new Set()) {
+  if (value === null || typeof value !== "object" || seen.has(value)) {
+    return value;
+  }
+  seen.add(value);
+  if (ArrayBuffer.isView(value)) {
+    return value; // typed arrays with elements cannot be frozen
+  }
+  if (value instanceof Map) {
+    value.forEach((item, key) => {
+      deepFreeze(key, seen);
+      deepFreeze(item, seen);
+    });
+  } else if (value instanceof Set) {
+    value.forEach((item) => deepFreeze(item, seen));
+  }
+  const fields = cloneFieldsOf(value);
+  Object.entries(value).forEach(([key, item]) => {
+    if (fields[key] !== CloneStrategy.SHALLOW) {
+      deepFreeze(item, seen);
+    }
+  });
+  return Object.freeze(value);
+}
+
 // Client code
 console.log("Demo Prototype Pattern");
 
@@ -71,3 +857,177 @@ console.log("Original Rectangle:", rectangle); // Unchanged
 console.log("Modified Clone Rectangle:", clonedRectangle);
 console.log("Original Circle:", circle); // Unchanged
 console.log("Modified Clone Circle:", clonedCircle);
+
+// Nested state is deep-copied too
+rectangle.style = { fill: "steelblue", border: { width: 2, color: "navy" } };
+rectangle.tags = new Set(["ui", "button"]);
+rectangle.createdAt = new Date(2024, 0, 1);
+rectangle.self = rectangle; // circular reference
+
+const styledClone = rectangle.clone();
+styledClone.style.border.width = 5;
+styledClone.tags.add("copy");
+
+console.log("\nAfter modifying nested state of the clone:");
+console.log("Original border width:", rectangle.style.border.width); // 2
+console.log("Original tags:", [...rectangle.tags]); // ui, button
+console.log("Clone is a Rectangle:", styledClone instanceof Rectangle);
+console.log("Clone references itself:", styledClone.self === styledClone);
+console.log("Dates copied:", styledClone.createdAt !== rectangle.createdAt);
+
+// A DataView copy gets its own bytes, including for a view at an offset
+const header = new DataView(new ArrayBuffer(8), 2, 4);
+header.setUint16(0, 0xcafe);
+const headerCopy = deepClone(header);
+headerCopy.setUint16(0, 0xbeef);
+console.log(
+  "DataView copied:",
+  header.getUint16(0).toString(16), // cafe
+  headerCopy.getUint16(0).toString(16), // beef
+  headerCopy.byteLength // 4
+);
+
+// Subclasses choose per-field copy strategies
+class Icon extends Rectangle {
+  static cloneFields = {
+    image: CloneStrategy.SHALLOW, // large shared bitmap
+    renderCache: CloneStrategy.EXCLUDE, // rebuilt on next render
+  };
+
+  constructor(width, height, image) {
+    super(width, height);
+    this.type = "Icon";
+    this.image = image;
+    this.renderCache = new Map();
+  }
+}
+
+const icon = new Icon(16, 16, { pixels: new Uint8Array(16 * 16) });
+icon.renderCache.set("1x", "<rendered>");
+const iconClone = icon.clone();
+console.log("Image shared:", iconClone.image === icon.image);
+console.log("Render cache excluded:", !("renderCache" in iconClone));
+
+// Named templates
+console.log("\nDemo Prototype Registry");
+
+const thumbnail = new Rectangle(64, 64);
+thumbnail.style = { fill: "#eeeeee", border: { width: 1, color: "#cccccc" } };
+const badge = new Circle(8);
+badge.style = { fill: "crimson" };
+
+const registry = new PrototypeRegistry()
+  .register("thumbnail-rect", thumbnail)
+  .register("badge-circle", badge)
+  .register("icon", icon);
+console.log("Templates:", registry.list());
+console.log("Caller's image still writable:", !Object.isFrozen(icon.image));
+
+const wideThumbnail = registry.create("thumbnail-rect", {
+  width: 128,
+  style: { border: { color: "black" } },
+});
+console.log("Wide thumbnail:", wideThumbnail.width, wideThumbnail.style);
+console.log("Template unchanged:", registry.get("thumbnail-rect").width);
+console.log(
+  "Template frozen:",
+  Object.isFrozen(registry.get("thumbnail-rect"))
+);
+
+for (const overrides of [{ radius: "big" }, { colour: "red" }]) {
+  try {
+    registry.create("badge-circle", overrides);
+  } catch (error) {
+    console.log(`${error.name}:`, error.message);
+  }
+}
+
+registry.remove("badge-circle");
+try {
+  registry.create("badge-circle");
+} catch (error) {
+  console.log("Error:", error.message);
+}
+
+// Geometry and composite shapes
+console.log("\nDemo Geometry and Group");
+
+const formatBox = ({ x, y, width, height }) =>
+  [x, y, width, height].map((value) => +value.toFixed(2)).join(", ");
+
+const button = new Group([
+  new Rectangle(100, 40, 0, 0),
+  new Circle(10, 20, 20),
+]);
+console.log("Group area:", button.area().toFixed(2));
+console.log("Group bounds:", formatBox(button.boundingBox()));
+console.log("Hit (90, 30):", button.containsPoint(90, 30));
+
+const tilted = new Rectangle(100, 40).rotate(90);
+console.log("Rotated rectangle bounds:", formatBox(tilted.boundingBox()));
+
+// Cloning a group copies its whole tree
+const buttonCopy = button.clone();
+buttonCopy.translate(200, 0).scale(2);
+console.log("Copy bounds:", formatBox(buttonCopy.boundingBox()));
+console.log("Original bounds:", formatBox(button.boundingBox()));
+console.log(
+  "Children independent:",
+  buttonCopy.children[0] !== button.children[0]
+);
+
+// Serialization
+console.log("\nDemo JSON and SVG");
+
+button.children[0].style = { fill: "steelblue", strokeWidth: 2 };
+button.children[1].style = { fill: "white" };
+button.meta = { createdAt: new Date(2024, 0, 1), tags: new Set(["cta"]) };
+
+const json = JSON.stringify(button);
+const restored = Shape.fromJSON(json);
+console.log("JSON:", json.slice(0, 80) + "...");
+console.log("Restored a Group:", restored instanceof Group);
+
+// Round trips must be lossless: JSON -> shape -> JSON gives the same document
+function assertRoundTrip(shape) {
+  const document = JSON.stringify(shape);
+  const decoded = Shape.fromJSON(document);
+  assert.deepStrictEqual(decoded, shape);
+  assert.strictEqual(JSON.stringify(decoded), document);
+}
+
+const tagged = new Circle(3, 1, 2);
+tagged.meta = {
+  lookup: new Map([
+    ["a", 1],
+    [2, new Set(["b"])],
+  ]),
+  when: new Date(Date.UTC(2024, 5, 1)),
+  missing: undefined,
+  $shape: "not a tag",
+  nested: { $date: "not a tag either" },
+};
+[
+  new Rectangle(10, 20, 3, 4).rotate(30),
+  new Circle(5, 1, 1),
+  new Group([button.clone(), new Group([new Circle(1)])]),
+  tagged,
+  button,
+].forEach(assertRoundTrip);
+console.log("Round-trip checks passed");
+
+// Hostile documents: "__proto__" stays a plain field, attribute names are checked
+const hostile = Shape.fromJSON(
+  '{"version":1,"shape":{"type":"Rectangle","props":{"__proto__":{"$shape":{"type":"Circle","props":{}}},"width":1,"height":1,"x":0,"y":0,"rotation":0,"style":{"fill=\\"red\\" onload":"alert(1)"}}}}'
+);
+assert.ok(hostile instanceof Rectangle && !(hostile instanceof Circle));
+assert.throws(() => hostile.toSVG(), /Invalid SVG attribute name/);
+console.log("Hostile document checks passed");
+
+try {
+  Shape.fromJSON({ version: 1, shape: { type: "Triangle", props: {} } });
+} catch (error) {
+  console.log("Error:", error.message);
+}
+
+console.log(toSVGDocument([button, tilted], { padding: 5 }));
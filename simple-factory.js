@@ -12,11 +12,19 @@
  *
  * Drawbacks:
  * - Code can become complex when adding too many products
- * - Violates Open/Closed Principle when adding new products because:
+ * - A switch-based factory violates Open/Closed Principle when adding new products because:
  *   1. Need to modify factory class code (createAnimal method)
  *   2. Add new case statements in switch block
  *   3. Cannot extend functionality without changing existing code
  *   4. Each new animal type requires changes to factory implementation
+ *
+ * This example avoids the switch: AnimalFactory keeps a registry of product
+ * constructors, so new animal types are plugged in with register() and the
+ * factory code itself never changes.
+ *
+ * Products can declare an option schema (type, required, default). The factory
+ * validates options against it before calling the constructor, and also accepts
+ * plain JSON descriptions such as { "type": "dog", "name": "Rex" }.
  */
 console.log("================================================");
 
@@ -29,28 +37,262 @@ class Animal {
 
 // Concrete products
 class Dog extends Animal {
+  static schema = {
+    name: { type: "string", required: true },
+    age: { type: "number", default: 1 },
+  };
+
+  constructor({ name, age } = {}) {
+    super();
+    this.name = name;
+    this.age = age;
+  }
+
   makeSound() {
     return "Woof!";
   }
 }
 
 class Cat extends Animal {
+  static schema = {
+    name: { type: "string", required: true },
+    indoor: { type: "boolean", default: true },
+  };
+
+  constructor({ name, indoor } = {}) {
+    super();
+    this.name = name;
+    this.indoor = indoor;
+  }
+
   makeSound() {
     return "Meow!";
   }
 }
 
-// Simple factory
+// Thrown when createAnimal() is asked for a type nobody registered
+class UnknownAnimalTypeError extends Error {
+  constructor(type, registeredTypes, suggestion) {
+    let message = `Animal type "${type}" not supported.`;
+    message += ` Registered types: ${registeredTypes.join(", ") || "(none)"}.`;
+    if (suggestion) {
+      message += ` Did you mean "${suggestion}"?`;
+    }
+    super(message);
+    this.name = "UnknownAnimalTypeError";
+    this.type = type;
+    this.registeredTypes = registeredTypes;
+    this.suggestion = suggestion;
+  }
+}
+
+// Thrown when options do not match the product schema; lists every problem
+class ValidationError extends Error {
+  constructor(type, errors) {
+    const details = errors.map((error) => error.message).join("; ");
+    super(`Invalid options for animal "${type}": ${details}`);
+    this.name = "ValidationError";
+    this.type = type;
+    this.errors = errors; // [{ option, code, message }]
+  }
+}
+
+// Option types a schema may declare
+const OPTION_TYPES = {
+  string: (value) => typeof value === "string",
+  number: (value) => typeof value === "number" && Number.isFinite(value),
+  boolean: (value) => typeof value === "boolean",
+  array: (value) => Array.isArray(value),
+  object: (value) =>
+    value !== null && typeof value === "object" && !Array.isArray(value),
+};
+
+function typeName(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+function checkSchema(type, schema) {
+  for (const [option, rule] of Object.entries(schema)) {
+    if (!OPTION_TYPES[rule.type]) {
+      throw new Error(
+        `Schema for animal type "${type}" has unknown type "${rule.type}" for option "${option}"`
+      );
+    }
+  }
+}
+
+function validateOptions(type, schema, options) {
+  const errors = [];
+  for (const option of Object.keys(options)) {
+    if (!schema[option]) {
+      errors.push({
+        option,
+        code: "unknown",
+        message: `${option} is not a known option`,
+      });
+    }
+  }
+  for (const [option, rule] of Object.entries(schema)) {
+    const value = options[option];
+    if (value === undefined) {
+      if (rule.required) {
+        errors.push({
+          option,
+          code: "required",
+          message: `${option} is required`,
+        });
+      }
+    } else if (!OPTION_TYPES[rule.type](value)) {
+      errors.push({
+        option,
+        code: "type",
+        message: `${option} must be a ${rule.type}, got ${typeName(value)}`,
+      });
+    }
+  }
+  if (errors.length > 0) {
+    throw new ValidationError(type, errors);
+  }
+}
+
+function schemaDefaults(schema) {
+  const defaults = {};
+  for (const [option, rule] of Object.entries(schema)) {
+    if (rule.default !== undefined) {
+      defaults[option] = rule.default;
+    }
+  }
+  return defaults;
+}
+
+function isPlainObject(value) {
+  return Object.prototype.toString.call(value) === "[object Object]";
+}
+
+// Names are matched case-insensitively and ignoring surrounding spaces
+function normalizeType(type) {
+  if (typeof type !== "string" || type.trim() === "") {
+    throw new Error("Animal type must be a non-empty string");
+  }
+  return type.trim().toLowerCase();
+}
+
+// Levenshtein distance, used to suggest the nearest registered name
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Simple factory backed by a registry instead of a switch statement
 class AnimalFactory {
-  createAnimal(type) {
-    switch (type.toLowerCase()) {
-      case "dog":
-        return new Dog();
-      case "cat":
-        return new Cat();
-      default:
-        throw new Error("Animal type not supported");
+  constructor() {
+    this.products = new Map(); // type -> { type, ctor, aliases, defaults, schema }
+    this.names = new Map(); // type or alias -> type
+  }
+
+  register(type, ctor, { aliases = [], defaults = {}, schema } = {}) {
+    const key = normalizeType(type);
+    if (typeof ctor !== "function") {
+      throw new Error(`Constructor for animal type "${key}" must be a class`);
+    }
+    schema = schema || ctor.schema || null;
+    if (schema) {
+      checkSchema(key, schema);
+    }
+    const names = [key, ...aliases.map(normalizeType)];
+    for (const name of names) {
+      const existing = this.names.get(name);
+      if (existing) {
+        throw new Error(
+          `Animal type "${name}" is already registered as "${existing}"`
+        );
+      }
+    }
+
+    this.products.set(key, {
+      type: key,
+      ctor,
+      aliases: names.slice(1),
+      defaults: { ...defaults },
+      schema,
+    });
+    names.forEach((name) => this.names.set(name, key));
+    return this;
+  }
+
+  unregister(type) {
+    const key = this.names.get(normalizeType(type));
+    if (!key) {
+      return false;
+    }
+    const product = this.products.get(key);
+    this.names.delete(key);
+    product.aliases.forEach((alias) => this.names.delete(alias));
+    this.products.delete(key);
+    return true;
+  }
+
+  has(type) {
+    return this.names.has(normalizeType(type));
+  }
+
+  list() {
+    return [...this.products.keys()];
+  }
+
+  // Accepts createAnimal("dog", { name: "Rex" }) or a JSON description
+  // such as createAnimal({ type: "dog", name: "Rex" })
+  createAnimal(type, options = {}) {
+    if (isPlainObject(type)) {
+      const { type: describedType, ...describedOptions } = type;
+      type = describedType;
+      options = { ...describedOptions, ...options };
+    }
+    if (!isPlainObject(options)) {
+      throw new Error("Animal options must be a plain object");
+    }
+
+    const name = normalizeType(type);
+    const key = this.names.get(name);
+    if (!key) {
+      throw new UnknownAnimalTypeError(name, this.list(), this.suggest(name));
+    }
+    const { ctor, defaults, schema } = this.products.get(key);
+    if (!schema) {
+      return new ctor({ ...defaults, ...options });
     }
+    const resolved = { ...schemaDefaults(schema), ...defaults, ...options };
+    validateOptions(key, schema, resolved);
+    return new ctor(resolved);
+  }
+
+  // Nearest registered name or alias, if it is close enough to be a typo
+  suggest(name) {
+    let best = null;
+    let bestDistance = Infinity;
+    for (const candidate of this.names.keys()) {
+      const distance = editDistance(name, candidate);
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    }
+    const maxDistance = Math.max(2, Math.floor(name.length / 3));
+    return bestDistance <= maxDistance ? best : null;
   }
 }
 
@@ -58,12 +300,15 @@ class AnimalFactory {
 console.log("Demo Simple Factory Pattern");
 
 const factory = new AnimalFactory();
+factory.register("dog", Dog, { aliases: ["puppy"] });
+factory.register("cat", Cat, { aliases: ["kitty"] });
 
-const dog = factory.createAnimal("dog");
-const cat = factory.createAnimal("cat");
+const dog = factory.createAnimal("dog", { name: "Rex", age: 3 });
+const cat = factory.createAnimal("Kitty", { name: "Tom" });
 
-console.log("Dog says:", dog.makeSound());
-console.log("Cat says:", cat.makeSound());
+console.log(`Dog ${dog.name} (age ${dog.age}) says:`, dog.makeSound());
+console.log(`Cat ${cat.name} (indoor: ${cat.indoor}) says:`, cat.makeSound());
+console.log("Registered types:", factory.list());
 
 // Try creating invalid animal
 try {
@@ -71,3 +316,41 @@ try {
 } catch (error) {
   console.log("Error:", error.message);
 }
+
+// All option problems are reported together
+try {
+  factory.createAnimal("dog", { age: "three", color: "brown" });
+} catch (error) {
+  console.log("Error:", error.message);
+  console.log("Details:", error.errors);
+}
+
+// Products can be described in config files
+const config =
+  '[{ "type": "dog", "name": "Max" }, { "type": "cat", "name": "Luna", "indoor": false }]';
+const animalsFromConfig = JSON.parse(config).map((description) =>
+  factory.createAnimal(description)
+);
+animalsFromConfig.forEach((animal) =>
+  console.log(`${animal.name} says:`, animal.makeSound())
+);
+
+// Typos get a suggestion
+try {
+  factory.createAnimal("dgo");
+} catch (error) {
+  console.log("Error:", error.message);
+}
+
+// New products are plugged in without touching AnimalFactory
+class Bird extends Animal {
+  makeSound() {
+    return "Tweet!";
+  }
+}
+
+factory.register("bird", Bird);
+console.log("Bird says:", factory.createAnimal("bird").makeSound());
+
+factory.unregister("bird");
+console.log("Bird registered after unregister?", factory.has("bird"));
@@ -17,59 +17,1035 @@
  * - Configuration settings
  * - Logging services
  * - Thread pools
+ *
+ * Multiton is the keyed variant used below: one instance per key (here, one
+ * Database per connection string), with lazy async initialization and an
+ * explicit reset() so tests can start from a clean slate.
+ *
+ * Database talks to storage through a driver (connect, query, close,
+ * transaction). InMemoryDriver runs a small SQL subset against tables kept in
+ * memory, so the singleton can be exercised end to end without a server.
+ *
+ * The connection is a small state machine (disconnected -> connecting ->
+ * connected -> reconnecting -> closed) that retries with exponential backoff,
+ * emits an event on every transition and queues queries while reconnecting.
  */
 console.log("================================================");
 
-// Example implementation
-class Database {
+const EventEmitter = require("events");
+
+const DEFAULT_CONNECTION_STRING = "memory://localhost/mydb";
+
+// Reusable keyed singleton store
+class Multiton {
+  constructor(create, { initialize, dispose, onDuplicate = "throw" } = {}) {
+    this.create = create;
+    this.initialize = initialize;
+    this.disposeInstance = dispose;
+    // What claim() does when a second instance is built for a taken key:
+    // "throw" (default) or "reuse" to hand back the existing instance
+    this.onDuplicate = onDuplicate;
+    this.instances = new Map();
+    this.ready = new Set(); // keys whose initialize() has completed
+    this.pending = new Map(); // key -> initialization promise
+  }
+
+  has(key) {
+    return this.instances.has(key);
+  }
+
+  keys() {
+    return [...this.instances.keys()];
+  }
+
+  get(key, ...args) {
+    if (!this.instances.has(key)) {
+      this.instances.set(key, this.create(key, ...args));
+    }
+    return this.instances.get(key);
+  }
+
+  // Concurrent callers share one initialization; a failed one is forgotten
+  // so the next call can retry. An instance disposed while it initializes
+  // is never marked ready.
+  getAsync(key, ...args) {
+    if (this.pending.has(key)) {
+      return this.pending.get(key);
+    }
+    if (this.ready.has(key)) {
+      return Promise.resolve(this.instances.get(key));
+    }
+    const promise = (async () => {
+      const instance = this.get(key, ...args);
+      try {
+        if (this.initialize) {
+          await this.initialize(instance);
+        }
+      } catch (error) {
+        this.release(key, instance);
+        throw error;
+      }
+      if (this.instances.get(key) !== instance) {
+        throw new Error(
+          `Instance for "${key}" was disposed while initializing`
+        );
+      }
+      this.ready.add(key);
+      return instance;
+    })().finally(() => {
+      if (this.pending.get(key) === promise) {
+        this.pending.delete(key);
+      }
+    });
+    this.pending.set(key, promise);
+    return promise;
+  }
+
+  // Called from a constructor to register itself; returns the instance the
+  // constructor should end up with
+  claim(key, instance) {
+    const existing = this.instances.get(key);
+    if (existing === undefined || existing === instance) {
+      this.instances.set(key, instance);
+      return instance;
+    }
+    if (this.onDuplicate === "reuse") {
+      return existing;
+    }
+    throw new Error(
+      `An instance for "${key}" already exists; use getInstance() or reset() first`
+    );
+  }
+
+  // Forgets the instance registered for key, if it is still this one, so
+  // the next get() builds a new one
+  release(key, instance) {
+    if (this.instances.get(key) !== instance) {
+      return false;
+    }
+    this.instances.delete(key);
+    this.ready.delete(key);
+    // Later getAsync() calls start over instead of joining this instance
+    this.pending.delete(key);
+    return true;
+  }
+
+  async dispose(key) {
+    const instance = this.instances.get(key);
+    if (instance === undefined) {
+      return false;
+    }
+    this.release(key, instance);
+    if (this.disposeInstance) {
+      await this.disposeInstance(instance);
+    }
+    return true;
+  }
+
+  async reset() {
+    await Promise.all(this.keys().map((key) => this.dispose(key)));
+  }
+}
+
+// Storage driver interface
+class DatabaseDriver {
   constructor() {
-    if (Database.instance) {
-      return Database.instance;
+    if (this.constructor === DatabaseDriver) {
+      throw new Error("Abstract class cannot be instantiated");
+    }
+  }
+
+  async connect(connectionString) {
+    throw new Error("connect() method must be implemented");
+  }
+
+  // Resolves to { rows, rowCount }
+  async query(sql, params) {
+    throw new Error("query() method must be implemented");
+  }
+
+  async close() {
+    throw new Error("close() method must be implemented");
+  }
+
+  // Runs work(tx) where tx.query() joins the transaction; rolls back on error
+  async transaction(work) {
+    throw new Error("transaction() method must be implemented");
+  }
+}
+
+// Tokens of the SQL subset understood by InMemoryDriver
+const SQL_TOKEN =
+  /\s*(?:(-?\d+(?:\.\d+)?)|'((?:[^']|'')*)'|([A-Za-z_][A-Za-z0-9_]*)|(<=|>=|<>|!=|[=<>(),*?;]))/y;
+
+function tokenize(sql) {
+  const tokens = [];
+  const text = sql.trimEnd();
+  SQL_TOKEN.lastIndex = 0;
+  while (SQL_TOKEN.lastIndex < text.length) {
+    const position = SQL_TOKEN.lastIndex;
+    const match = SQL_TOKEN.exec(text);
+    if (!match) {
+      throw new Error(
+        `SQL syntax error near "${text.slice(position).trim().slice(0, 20)}"`
+      );
+    }
+    const [, number, string, word, symbol] = match;
+    if (number !== undefined) {
+      tokens.push({ type: "value", value: Number(number) });
+    } else if (string !== undefined) {
+      tokens.push({ type: "value", value: string.replace(/''/g, "'") });
+    } else if (word !== undefined) {
+      tokens.push({ type: "word", value: word });
+    } else {
+      tokens.push({ type: "symbol", value: symbol });
+    }
+  }
+  return tokens;
+}
+
+const COMPARISONS = {
+  "=": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+  "<>": (a, b) => a !== b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+};
+
+// Parses one statement into a plain object. "?" placeholders are replaced by
+// the bound parameter values here, never spliced into the SQL text.
+class SqlParser {
+  constructor(sql, params) {
+    this.tokens = tokenize(sql);
+    this.position = 0;
+    this.params = params;
+    this.paramIndex = 0;
+  }
+
+  parse() {
+    const keyword = this.word().toUpperCase();
+    const statement = {
+      SELECT: () => this.parseSelect(),
+      INSERT: () => this.parseInsert(),
+      UPDATE: () => this.parseUpdate(),
+      DELETE: () => this.parseDelete(),
+      CREATE: () => this.parseCreate(),
+    }[keyword];
+    if (!statement) {
+      throw new Error(`Unsupported SQL statement: ${keyword}`);
+    }
+    const result = statement();
+    this.acceptSymbol(";");
+    if (this.position < this.tokens.length) {
+      throw new Error(
+        `SQL syntax error: unexpected "${this.tokens[this.position].value}"`
+      );
+    }
+    if (this.paramIndex !== this.params.length) {
+      throw new Error(
+        `Query expects ${this.paramIndex} parameters, got ${this.params.length}`
+      );
+    }
+    return result;
+  }
+
+  parseSelect() {
+    let columns = null; // null means *
+    if (!this.acceptSymbol("*")) {
+      columns = this.list(() => this.word());
+    }
+    this.keyword("FROM");
+    const statement = { type: "select", table: this.word(), columns };
+    statement.where = this.parseWhere();
+    if (this.acceptKeyword("ORDER")) {
+      this.keyword("BY");
+      statement.orderBy = { column: this.word(), descending: false };
+      if (this.acceptKeyword("DESC")) {
+        statement.orderBy.descending = true;
+      } else {
+        this.acceptKeyword("ASC");
+      }
+    }
+    if (this.acceptKeyword("LIMIT")) {
+      statement.limit = this.value();
+    }
+    return statement;
+  }
+
+  parseInsert() {
+    this.keyword("INTO");
+    const statement = { type: "insert", table: this.word(), columns: null };
+    if (this.acceptSymbol("(")) {
+      statement.columns = this.list(() => this.word());
+      this.symbol(")");
+    }
+    this.keyword("VALUES");
+    statement.rows = this.list(() => {
+      this.symbol("(");
+      const values = this.list(() => this.value());
+      this.symbol(")");
+      return values;
+    });
+    return statement;
+  }
+
+  parseUpdate() {
+    const statement = { type: "update", table: this.word() };
+    this.keyword("SET");
+    statement.assignments = this.list(() => {
+      const column = this.word();
+      this.symbol("=");
+      return { column, value: this.value() };
+    });
+    statement.where = this.parseWhere();
+    return statement;
+  }
+
+  parseDelete() {
+    this.keyword("FROM");
+    const statement = { type: "delete", table: this.word() };
+    statement.where = this.parseWhere();
+    return statement;
+  }
+
+  parseCreate() {
+    this.keyword("TABLE");
+    const statement = { type: "create", table: this.word() };
+    this.symbol("(");
+    statement.columns = this.list(() => {
+      const column = this.word();
+      // Column types are accepted for readability but not enforced
+      while (this.peek() && this.peek().type === "word") {
+        this.position++;
+      }
+      return column;
+    });
+    this.symbol(")");
+    return statement;
+  }
+
+  // WHERE supports comparisons and IS [NOT] NULL joined by AND
+  parseWhere() {
+    if (!this.acceptKeyword("WHERE")) {
+      return [];
+    }
+    const conditions = [];
+    do {
+      const column = this.word();
+      if (this.acceptKeyword("IS")) {
+        const negate = this.acceptKeyword("NOT");
+        this.keyword("NULL");
+        conditions.push({ column, operator: negate ? "!=" : "=", value: null });
+      } else {
+        const operator = this.next().value;
+        if (!COMPARISONS[operator]) {
+          throw new Error(`SQL syntax error: unknown operator "${operator}"`);
+        }
+        conditions.push({ column, operator, value: this.value() });
+      }
+    } while (this.acceptKeyword("AND"));
+    return conditions;
+  }
+
+  value() {
+    const token = this.next();
+    if (token.type === "value") {
+      return token.value;
+    }
+    if (token.type === "symbol" && token.value === "?") {
+      return this.params[this.paramIndex++];
+    }
+    if (token.type === "word") {
+      const literals = { NULL: null, TRUE: true, FALSE: false };
+      const literal = token.value.toUpperCase();
+      if (literal in literals) {
+        return literals[literal];
+      }
+    }
+    throw new Error(`SQL syntax error: expected a value, got "${token.value}"`);
+  }
+
+  list(item) {
+    const items = [item()];
+    while (this.acceptSymbol(",")) {
+      items.push(item());
+    }
+    return items;
+  }
+
+  peek() {
+    return this.tokens[this.position];
+  }
+
+  next() {
+    const token = this.tokens[this.position++];
+    if (!token) {
+      throw new Error("SQL syntax error: unexpected end of query");
     }
-    this.connectionString = "mongodb://localhost:27017/mydb";
+    return token;
+  }
+
+  word() {
+    const token = this.next();
+    if (token.type !== "word") {
+      throw new Error(
+        `SQL syntax error: expected a name, got "${token.value}"`
+      );
+    }
+    return token.value;
+  }
+
+  keyword(expected) {
+    if (!this.acceptKeyword(expected)) {
+      throw new Error(`SQL syntax error: expected ${expected}`);
+    }
+  }
+
+  acceptKeyword(expected) {
+    const token = this.peek();
+    if (
+      token &&
+      token.type === "word" &&
+      token.value.toUpperCase() === expected
+    ) {
+      this.position++;
+      return true;
+    }
+    return false;
+  }
+
+  symbol(expected) {
+    if (!this.acceptSymbol(expected)) {
+      throw new Error(`SQL syntax error: expected "${expected}"`);
+    }
+  }
+
+  acceptSymbol(expected) {
+    const token = this.peek();
+    if (token && token.type === "symbol" && token.value === expected) {
+      this.position++;
+      return true;
+    }
+    return false;
+  }
+}
+
+// Keeps tables in memory and executes the SqlParser subset against them
+class InMemoryDriver extends DatabaseDriver {
+  constructor({ tables = {} } = {}) {
+    super();
+    this.tables = new Map();
+    for (const [name, rows] of Object.entries(tables)) {
+      const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+      this.tables.set(name, { columns, rows: rows.map((row) => ({ ...row })) });
+    }
+    this.connected = false;
+    this.inTransaction = false;
+  }
+
+  async connect(connectionString) {
+    this.connected = true;
+  }
+
+  async close() {
     this.connected = false;
-    Database.instance = this;
   }
 
-  connect() {
-    if (this.connected) {
+  async query(sql, params = []) {
+    if (!this.connected) {
+      throw new Error("Driver is not connected");
+    }
+    return this.execute(new SqlParser(sql, params).parse());
+  }
+
+  // Snapshot-based: a failed transaction restores every table. Queries made
+  // outside tx while it runs are rolled back with it.
+  async transaction(work) {
+    if (this.inTransaction) {
+      throw new Error("Nested transactions are not supported");
+    }
+    const snapshot = this.snapshot();
+    this.inTransaction = true;
+    try {
+      return await work({ query: (sql, params) => this.query(sql, params) });
+    } catch (error) {
+      this.tables = snapshot;
+      throw error;
+    } finally {
+      this.inTransaction = false;
+    }
+  }
+
+  snapshot() {
+    const copy = new Map();
+    for (const [name, table] of this.tables) {
+      copy.set(name, {
+        columns: [...table.columns],
+        rows: table.rows.map((row) => ({ ...row })),
+      });
+    }
+    return copy;
+  }
+
+  execute(statement) {
+    if (statement.type === "create") {
+      if (this.tables.has(statement.table)) {
+        throw new Error(`Table "${statement.table}" already exists`);
+      }
+      this.tables.set(statement.table, {
+        columns: statement.columns,
+        rows: [],
+      });
+      return { rows: [], rowCount: 0 };
+    }
+
+    const table = this.tables.get(statement.table);
+    if (!table) {
+      throw new Error(`Table "${statement.table}" does not exist`);
+    }
+    const checkColumn = (column) => {
+      if (!table.columns.includes(column)) {
+        throw new Error(`Unknown column "${column}" in "${statement.table}"`);
+      }
+    };
+    (statement.where || []).forEach(({ column }) => checkColumn(column));
+    const matches = (row) =>
+      statement.where.every(({ column, operator, value }) =>
+        COMPARISONS[operator](row[column], value)
+      );
+
+    switch (statement.type) {
+      case "select": {
+        const columns = statement.columns || table.columns;
+        columns.forEach(checkColumn);
+        let rows = table.rows.filter(matches);
+        if (statement.orderBy) {
+          const { column, descending } = statement.orderBy;
+          checkColumn(column);
+          const direction = descending ? -1 : 1;
+          rows = [...rows].sort((a, b) => {
+            if (a[column] === b[column]) return 0;
+            return a[column] < b[column] ? -direction : direction;
+          });
+        }
+        if (statement.limit !== undefined) {
+          rows = rows.slice(0, statement.limit);
+        }
+        rows = rows.map((row) =>
+          Object.fromEntries(columns.map((column) => [column, row[column]]))
+        );
+        return { rows, rowCount: rows.length };
+      }
+      case "insert": {
+        const columns = statement.columns || table.columns;
+        columns.forEach(checkColumn);
+        const inserted = statement.rows.map((values) => {
+          if (values.length !== columns.length) {
+            throw new Error(
+              `INSERT has ${columns.length} columns but ${values.length} values`
+            );
+          }
+          const row = Object.fromEntries(
+            table.columns.map((column) => [column, null])
+          );
+          columns.forEach((column, i) => (row[column] = values[i]));
+          return row;
+        });
+        table.rows.push(...inserted);
+        return { rows: [], rowCount: inserted.length };
+      }
+      case "update": {
+        statement.assignments.forEach(({ column }) => checkColumn(column));
+        const rows = table.rows.filter(matches);
+        rows.forEach((row) =>
+          statement.assignments.forEach(
+            ({ column, value }) => (row[column] = value)
+          )
+        );
+        return { rows: [], rowCount: rows.length };
+      }
+      case "delete": {
+        const before = table.rows.length;
+        table.rows = table.rows.filter((row) => !matches(row));
+        return { rows: [], rowCount: before - table.rows.length };
+      }
+    }
+  }
+}
+
+// Test double: fails connect()/query() calls following a schedule such as
+// { connect: ["fail", "fail", "ok"] }; calls past the schedule succeed
+class FlakyDriver extends InMemoryDriver {
+  constructor({ connect = [], query = [], ...options } = {}) {
+    super(options);
+    this.schedule = { connect: [...connect], query: [...query] };
+  }
+
+  async connect(connectionString) {
+    if (this.schedule.connect.shift() === "fail") {
+      throw connectionError("ECONNREFUSED", "Connection refused");
+    }
+    return super.connect(connectionString);
+  }
+
+  async query(sql, params) {
+    if (this.schedule.query.shift() === "fail") {
+      this.connected = false;
+      throw connectionError("ECONNRESET", "Connection reset by peer");
+    }
+    return super.query(sql, params);
+  }
+}
+
+// Errors with these codes mean the connection is gone, not that the query was bad
+const CONNECTION_ERROR_CODES = [
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "EPIPE",
+  "ETIMEDOUT",
+];
+
+function connectionError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function isConnectionError(error) {
+  return CONNECTION_ERROR_CODES.includes(error && error.code);
+}
+
+// Exponential backoff with jitter: attempt n waits about baseDelay * factor^(n-1)
+class RetryPolicy {
+  constructor({
+    maxAttempts = 5,
+    baseDelay = 100,
+    maxDelay = 5000,
+    factor = 2,
+    jitter = 0.2, // +/- fraction of the delay
+    random = Math.random,
+  } = {}) {
+    if (!(maxAttempts >= 1)) {
+      throw new Error("maxAttempts must be at least 1");
+    }
+    this.maxAttempts = maxAttempts;
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+    this.factor = factor;
+    this.jitter = jitter;
+    this.random = random;
+  }
+
+  // Delay before retrying after the given failed attempt (1-based)
+  delay(attempt) {
+    const base = Math.min(
+      this.maxDelay,
+      this.baseDelay * this.factor ** (attempt - 1)
+    );
+    const spread = base * this.jitter;
+    return Math.max(0, Math.round(base - spread + this.random() * 2 * spread));
+  }
+
+  shouldRetry(attempt) {
+    return attempt < this.maxAttempts;
+  }
+}
+
+const ConnectionState = Object.freeze({
+  DISCONNECTED: "disconnected",
+  CONNECTING: "connecting",
+  CONNECTED: "connected",
+  RECONNECTING: "reconnecting",
+  CLOSED: "closed",
+});
+
+const TRANSITIONS = {
+  disconnected: ["connecting", "closed"],
+  connecting: ["connected", "disconnected", "closed"],
+  connected: ["reconnecting", "disconnected", "closed"],
+  reconnecting: ["connected", "disconnected", "closed"],
+  closed: [],
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Example implementation
+class Database extends EventEmitter {
+  static instances = new Multiton(
+    (connectionString, options) => new Database(connectionString, options),
+    {
+      initialize: (db) => db.connect(),
+      dispose: (db) => db.close(),
+    }
+  );
+
+  // Drivers by connection string scheme, used when no driver is passed in
+  static drivers = new Map([["memory", () => new InMemoryDriver()]]);
+
+  constructor(
+    connectionString = DEFAULT_CONNECTION_STRING,
+    {
+      driver,
+      retryPolicy = new RetryPolicy(),
+      maxQueueSize = 100,
+      wait = sleep,
+    } = {}
+  ) {
+    super();
+    // Resolved before claiming, so a bad connection string leaves no
+    // half-built instance registered
+    const resolvedDriver = driver || Database.createDriver(connectionString);
+    const instance = Database.instances.claim(connectionString, this);
+    if (instance !== this) {
+      return instance;
+    }
+    this.connectionString = connectionString;
+    this.driver = resolvedDriver;
+    this.retryPolicy = retryPolicy;
+    this.maxQueueSize = maxQueueSize;
+    this.wait = wait;
+    this.state = ConnectionState.DISCONNECTED;
+    this.connecting = null; // promise of the connect/reconnect in progress
+    this.queue = []; // work sent while (re)connecting
+  }
+
+  get connected() {
+    return this.state === ConnectionState.CONNECTED;
+  }
+
+  static createDriver(connectionString) {
+    const scheme = connectionString.split(":")[0];
+    const createDriver = Database.drivers.get(scheme);
+    if (!createDriver) {
+      throw new Error(
+        `No driver for "${scheme}:" connections. Known schemes: ` +
+          [...Database.drivers.keys()].join(", ")
+      );
+    }
+    return createDriver();
+  }
+
+  async connect() {
+    if (this.state === ConnectionState.CONNECTED) {
       console.log("Already connected to database");
       return;
     }
+    if (this.state === ConnectionState.CLOSED) {
+      throw new Error("Database is closed");
+    }
+    if (this.connecting) {
+      return this.connecting;
+    }
     console.log(`Connecting to database: ${this.connectionString}`);
-    this.connected = true;
+    this.transition(ConnectionState.CONNECTING);
+    return this.establish(ConnectionState.CONNECTING);
   }
 
-  query(sql) {
-    if (!this.connected) {
-      throw new Error("Must connect to database first");
+  // Connection dropped under us: retry in the background, queueing new work
+  reconnect(error) {
+    this.transition(ConnectionState.RECONNECTING, error);
+    // Failures are reported through the "disconnected" event
+    this.establish(ConnectionState.RECONNECTING).catch(() => {});
+  }
+
+  establish(fromState) {
+    this.connecting = (async () => {
+      for (let attempt = 1; ; attempt++) {
+        try {
+          await this.driver.connect(this.connectionString);
+        } catch (error) {
+          if (this.state !== fromState) {
+            throw new Error("Connection attempt was cancelled");
+          }
+          if (!this.retryPolicy.shouldRetry(attempt)) {
+            const failure = new Error(
+              `Could not connect to ${this.connectionString} after ${attempt} attempts: ${error.message}`
+            );
+            failure.cause = error;
+            this.transition(ConnectionState.DISCONNECTED, failure);
+            this.rejectQueue(failure);
+            throw failure;
+          }
+          const delay = this.retryPolicy.delay(attempt);
+          this.emit("retry", { attempt, delay, error });
+          await this.wait(delay);
+          if (this.state !== fromState) {
+            throw new Error("Connection attempt was cancelled");
+          }
+          continue;
+        }
+        if (this.state !== fromState) {
+          await this.driver.close();
+          throw new Error("Connection attempt was cancelled");
+        }
+        this.transition(ConnectionState.CONNECTED);
+        this.flushQueue();
+        return;
+      }
+    })().finally(() => {
+      this.connecting = null;
+    });
+    return this.connecting;
+  }
+
+  async disconnect() {
+    if (
+      this.state === ConnectionState.DISCONNECTED ||
+      this.state === ConnectionState.CLOSED
+    ) {
+      return;
+    }
+    console.log(`Disconnecting from database: ${this.connectionString}`);
+    this.transition(ConnectionState.DISCONNECTED);
+    this.rejectQueue(new Error("Database was disconnected"));
+    await this.driver.close();
+  }
+
+  async close() {
+    if (this.state === ConnectionState.CLOSED) {
+      return;
+    }
+    // A closed instance is never handed out again
+    Database.instances.release(this.connectionString, this);
+    await this.disconnect();
+    this.transition(ConnectionState.CLOSED);
+  }
+
+  transition(to, error) {
+    const from = this.state;
+    if (!TRANSITIONS[from].includes(to)) {
+      throw new Error(`Invalid connection state change: ${from} -> ${to}`);
+    }
+    this.state = to;
+    this.emit("stateChange", { from, to, error });
+    this.emit(to, { from, error });
+  }
+
+  query(sql, params = []) {
+    return this.run(() => {
+      console.log(`Executing query: ${sql}`);
+      return this.driver.query(sql, params);
+    });
+  }
+
+  transaction(work) {
+    return this.run(() => this.driver.transaction(work));
+  }
+
+  // Runs work now, queues it while (re)connecting, or rejects it
+  async run(work) {
+    switch (this.state) {
+      case ConnectionState.CONNECTED:
+        break;
+      case ConnectionState.CONNECTING:
+      case ConnectionState.RECONNECTING:
+        return this.enqueue(work);
+      case ConnectionState.CLOSED:
+        throw new Error("Database is closed");
+      default:
+        throw new Error("Must connect to database first");
+    }
+    try {
+      return await work();
+    } catch (error) {
+      if (isConnectionError(error) && this.connected) {
+        this.reconnect(error);
+      }
+      throw error;
+    }
+  }
+
+  enqueue(work) {
+    if (this.queue.length >= this.maxQueueSize) {
+      return Promise.reject(
+        new Error(`Query queue is full (${this.maxQueueSize} pending)`)
+      );
     }
-    console.log(`Executing query: ${sql}`);
+    return new Promise((resolve, reject) => {
+      this.queue.push({ work, resolve, reject });
+    });
   }
 
-  static getInstance() {
-    if (!Database.instance) {
-      Database.instance = new Database();
+  flushQueue() {
+    for (const { work, resolve, reject } of this.queue.splice(0)) {
+      this.run(work).then(resolve, reject);
     }
-    return Database.instance;
+  }
+
+  rejectQueue(error) {
+    this.queue.splice(0).forEach(({ reject }) => reject(error));
+  }
+
+  static getInstance(connectionString = DEFAULT_CONNECTION_STRING, options) {
+    return Database.instances.get(connectionString, options);
+  }
+
+  // Connects on first use; concurrent callers wait on the same connection
+  static getInstanceAsync(
+    connectionString = DEFAULT_CONNECTION_STRING,
+    options
+  ) {
+    return Database.instances.getAsync(connectionString, options);
+  }
+
+  // Disconnects and forgets every instance, e.g. between tests
+  static reset() {
+    return Database.instances.reset();
   }
 }
 
 // Usage demonstration
 console.log("Demo Singleton Pattern");
 
-const db1 = Database.getInstance();
-const db2 = Database.getInstance();
+async function demoSingleton() {
+  const db1 = Database.getInstance();
+  const db2 = Database.getInstance();
+
+  console.log("Are db1 and db2 the same instance?", db1 === db2);
+
+  try {
+    await db1.query("SELECT * FROM users");
+  } catch (error) {
+    console.log("Error:", error.message);
+  }
+
+  await db1.connect();
+  await db1.query("CREATE TABLE users (id, name, age)");
+  await db1.query(
+    "INSERT INTO users (id, name, age) VALUES (?, ?, ?), (?, ?, ?)",
+    [1, "Alice", 30, 2, "Bob", 25]
+  );
+
+  // Second connection attempt
+  await db2.connect(); // Will log "Already connected"
+  const { rows } = await db2.query(
+    "SELECT name, age FROM users WHERE age > ? ORDER BY age",
+    [20]
+  );
+  console.log("Users:", rows);
+
+  // Parameters are bound as values, so this is just a name that matches nobody
+  const injected = await db2.query("SELECT * FROM users WHERE name = ?", [
+    "Alice' OR '1'='1",
+  ]);
+  console.log("Injection attempt matched:", injected.rowCount);
+
+  await db1.query("UPDATE users SET age = ? WHERE name = ?", [31, "Alice"]);
+  try {
+    await db1.transaction(async (tx) => {
+      await tx.query("DELETE FROM users WHERE id = ?", [2]);
+      throw new Error("Payment failed");
+    });
+  } catch (error) {
+    console.log("Transaction rolled back:", error.message);
+  }
+  console.log("Users:", (await db1.query("SELECT * FROM users")).rows);
+
+  // Direct instantiation no longer silently returns the same instance
+  try {
+    new Database();
+  } catch (error) {
+    console.log("Error:", error.message);
+  }
+
+  // ...unless that is the configured policy
+  Database.instances.onDuplicate = "reuse";
+  const db3 = new Database();
+  console.log("Is db3 the same instance?", db1 === db3);
+  Database.instances.onDuplicate = "throw";
 
-console.log("Are db1 and db2 the same instance?", db1 === db2);
+  // One instance per connection string
+  const analyticsDb = Database.getInstance("memory://localhost/analytics");
+  console.log("Is analyticsDb a different instance?", analyticsDb !== db1);
 
-db1.connect();
-db1.query("SELECT * FROM users");
+  // An unknown scheme fails before anything is registered
+  try {
+    Database.getInstance("postgres://localhost/app");
+  } catch (error) {
+    console.log("Error:", error.message);
+  }
+  console.log(
+    "Registered after failure?",
+    Database.instances.has("postgres://localhost/app")
+  );
+}
+
+async function demoAsyncSingleton() {
+  await Database.reset();
+  console.log("Instances after reset:", Database.instances.keys());
+
+  const [first, second] = await Promise.all([
+    Database.getInstanceAsync(),
+    Database.getInstanceAsync(),
+  ]);
+  console.log("Concurrent callers share one instance?", first === second);
+  await first.query("CREATE TABLE orders (id, total)");
+  console.log("Orders:", (await first.query("SELECT * FROM orders")).rows);
+
+  await Database.reset();
+  console.log("Fresh instance after reset?", Database.getInstance() !== first);
+
+  // A reset while connecting cancels that connection; the next caller gets
+  // a new, connected instance
+  const reportsUrl = "memory://localhost/reports";
+  const connecting = Database.getInstanceAsync(reportsUrl);
+  await Database.reset();
+  try {
+    await connecting;
+  } catch (error) {
+    console.log("Error:", error.message);
+  }
+  const reports = await Database.getInstanceAsync(reportsUrl);
+  console.log("Connected after reset?", reports.connected);
+}
+
+async function demoConnectionLifecycle() {
+  const db = Database.getInstance("memory://localhost/flaky", {
+    driver: new FlakyDriver({
+      connect: ["fail", "fail", "ok", "fail", "ok"],
+      query: ["ok", "ok", "fail"],
+    }),
+    retryPolicy: new RetryPolicy({ baseDelay: 10, maxAttempts: 3 }),
+    maxQueueSize: 2,
+  });
+  db.on("stateChange", ({ from, to, error }) =>
+    console.log(`State: ${from} -> ${to}${error ? ` (${error.message})` : ""}`)
+  );
+  db.on("retry", ({ attempt, delay }) =>
+    console.log(`Attempt ${attempt} failed, retrying in ~${delay}ms`)
+  );
 
-// Second connection attempt
-db2.connect(); // Will log "Already connected"
-db2.query("SELECT * FROM products");
+  await db.connect();
+  await db.query("CREATE TABLE events (id, name)");
+  await db.query("INSERT INTO events VALUES (?, ?)", [1, "signup"]);
+
+  try {
+    await db.query("SELECT * FROM events");
+  } catch (error) {
+    console.log("Query failed:", error.message);
+  }
+
+  // Sent while reconnecting: two are queued, the third exceeds the limit
+  const queued = [
+    db.query("SELECT * FROM events"),
+    db.query("SELECT name FROM events WHERE id = ?", [1]),
+    db.query("SELECT id FROM events"),
+  ];
+  const results = await Promise.allSettled(queued);
+  results.forEach(({ status, value, reason }) =>
+    console.log(status, status === "fulfilled" ? value.rows : reason.message)
+  );
+
+  await db.close();
+  console.log(
+    "Closed instance replaced?",
+    Database.getInstance("memory://localhost/flaky") !== db
+  );
+}
 
-// Direct instantiation still returns same instance
-const db3 = new Database();
-console.log("Is db3 the same instance?", db1 === db3);
+demoSingleton()
+  .then(demoAsyncSingleton)
+  .then(demoConnectionLifecycle)
+  .catch((error) => console.log("Error:", error.message));
@@ -13,8 +13,43 @@
  * - Algorithms can vary independently from clients that use them
  * - Avoid conditional statements by using different strategies
  * - Easy to add new strategies without changing existing code
+ *
+ * The payment strategies run against an in-memory FakeGateway. Every call
+ * (pay, authorize, capture, refund, void) returns a PaymentResult with a
+ * transaction id, a status and an error code, so callers can tell exactly
+ * what happened; declines and invalid operations are results, not exceptions.
+ *
+ * Strategies validate their input when they are constructed (Luhn check,
+ * expiry, CVV length per card brand, email format) and throw a
+ * PaymentValidationError on bad input. Card numbers, CVVs and passwords live
+ * in private fields; toJSON() and util.inspect() only show masked values.
+ *
+ * ShoppingCart can split one total across several strategies and give each
+ * part an ordered fallback chain. If a part cannot be paid by any strategy in
+ * its chain, the parts already paid are refunded and the checkout fails.
+ *
+ * Strategies can also be registered by name in a PaymentStrategyRegistry with
+ * selection rules (amount limits, currencies, regions, enabled). A
+ * StrategySelector picks the first one whose rules pass and whose canPay()
+ * accepts the amount, and explains the decision for every candidate.
+ *
+ * Each checkout carries an idempotency key: repeating it returns the first
+ * result that moved money instead of paying again (declines can be retried),
+ * and reusing it for a different amount or plan is rejected. Without an
+ * explicit key the cart uses its checkout id, which only changes when the
+ * amount or plan changes or on resetCheckout().
+ * Payments, refunds, failures and amount changes are appended to a
+ * PaymentLedger (in memory or a JSONL file), which can reconcile its totals
+ * against what the gateway settled for each strategy account.
  */
 
+const assert = require("assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const util = require("util");
+
 console.log("--------------------------------");
 console.log("Example 1: Without Strategy Pattern");
 
@@ -45,80 +80,1028 @@ processPayment("paypal", 200, {
 
 console.log("--------------------------------");
 
+const PaymentStatus = Object.freeze({
+  AUTHORIZED: "authorized",
+  CAPTURED: "captured",
+  PARTIALLY_REFUNDED: "partially_refunded",
+  REFUNDED: "refunded",
+  VOIDED: "voided",
+  DECLINED: "declined",
+  FAILED: "failed", // the operation was rejected; the transaction is unchanged
+});
+
+const ERROR_MESSAGES = {
+  CARD_DECLINED: "Card was declined",
+  INSUFFICIENT_FUNDS: "Insufficient funds",
+  INVALID_AMOUNT: "Amount must be a positive number",
+  UNKNOWN_TRANSACTION: "No such transaction",
+};
+
+// { transactionId, status, amount, errorCode, message }; errorCode is null on
+// success
+function paymentResult(
+  transactionId,
+  status,
+  amount,
+  errorCode = null,
+  message
+) {
+  return Object.freeze({
+    transactionId,
+    status,
+    amount,
+    errorCode,
+    message: message || ERROR_MESSAGES[errorCode] || errorCode || status,
+  });
+}
+
+// In-memory payment gateway. Accounts opened with a balance are limited to it;
+// other accounts (cards, PayPal) are unlimited unless a decline is configured.
+class FakeGateway {
+  constructor({ declines = {} } = {}) {
+    this.declines = new Map(Object.entries(declines)); // account -> error code
+    this.balances = new Map(); // account -> balance
+    this.transactions = new Map(); // id -> transaction
+    this.nextId = 1;
+  }
+
+  openAccount(account, balance) {
+    this.balances.set(account, balance);
+  }
+
+  balanceOf(account) {
+    return this.balances.get(account);
+  }
+
+  declineAccount(account, errorCode = "CARD_DECLINED") {
+    this.declines.set(account, errorCode);
+  }
+
+  transaction(id) {
+    const transaction = this.transactions.get(id);
+    return transaction ? { ...transaction } : undefined;
+  }
+
+  // Authorized but not yet captured amounts still count against a balance
+  available(account) {
+    let held = 0;
+    for (const transaction of this.transactions.values()) {
+      if (
+        transaction.account === account &&
+        transaction.status === PaymentStatus.AUTHORIZED
+      ) {
+        held += transaction.amount;
+      }
+    }
+    return this.balances.get(account) - held;
+  }
+
+  authorize(amount, { method, account }) {
+    const id = `T${String(this.nextId++).padStart(4, "0")}`;
+    const transaction = {
+      id,
+      method,
+      account,
+      amount,
+      captured: 0,
+      refunded: 0,
+      status: PaymentStatus.DECLINED,
+    };
+    this.transactions.set(id, transaction);
+
+    let errorCode = null;
+    if (
+      !(typeof amount === "number" && Number.isFinite(amount) && amount > 0)
+    ) {
+      errorCode = "INVALID_AMOUNT";
+    } else if (this.declines.has(account)) {
+      errorCode = this.declines.get(account);
+    } else if (this.balances.has(account) && this.available(account) < amount) {
+      errorCode = "INSUFFICIENT_FUNDS";
+    } else {
+      transaction.status = PaymentStatus.AUTHORIZED;
+    }
+    return paymentResult(id, transaction.status, amount, errorCode);
+  }
+
+  // Captures all or part of an authorization; the rest is released
+  capture(id, amount) {
+    const transaction = this.transactions.get(id);
+    const error = this.checkState(transaction, id, PaymentStatus.AUTHORIZED, {
+      [PaymentStatus.CAPTURED]: "ALREADY_CAPTURED",
+      [PaymentStatus.PARTIALLY_REFUNDED]: "ALREADY_CAPTURED",
+      [PaymentStatus.REFUNDED]: "ALREADY_CAPTURED",
+      [PaymentStatus.VOIDED]: "ALREADY_VOIDED",
+      [PaymentStatus.DECLINED]: "NOT_AUTHORIZED",
+    });
+    if (error) {
+      return error;
+    }
+    amount = amount === undefined ? transaction.amount : amount;
+    if (!(amount > 0 && amount <= transaction.amount)) {
+      return paymentResult(
+        id,
+        PaymentStatus.FAILED,
+        amount,
+        "INVALID_AMOUNT",
+        `Capture must be between 0 and ${transaction.amount}`
+      );
+    }
+    transaction.captured = amount;
+    transaction.status = PaymentStatus.CAPTURED;
+    this.adjustBalance(transaction.account, -amount);
+    return paymentResult(id, transaction.status, amount);
+  }
+
+  // Partial refunds are allowed until the captured amount is used up
+  refund(id, amount) {
+    const transaction = this.transactions.get(id);
+    const error = this.checkState(
+      transaction,
+      id,
+      [PaymentStatus.CAPTURED, PaymentStatus.PARTIALLY_REFUNDED],
+      {
+        [PaymentStatus.AUTHORIZED]: "NOT_CAPTURED",
+        [PaymentStatus.REFUNDED]: "ALREADY_REFUNDED",
+        [PaymentStatus.VOIDED]: "ALREADY_VOIDED",
+        [PaymentStatus.DECLINED]: "NOT_CAPTURED",
+      }
+    );
+    if (error) {
+      return error;
+    }
+    const refundable = transaction.captured - transaction.refunded;
+    amount = amount === undefined ? refundable : amount;
+    if (!(amount > 0 && amount <= refundable)) {
+      return paymentResult(
+        id,
+        PaymentStatus.FAILED,
+        amount,
+        "REFUND_EXCEEDS_CAPTURE",
+        `Only ${refundable} can be refunded`
+      );
+    }
+    transaction.refunded += amount;
+    transaction.status =
+      transaction.refunded === transaction.captured
+        ? PaymentStatus.REFUNDED
+        : PaymentStatus.PARTIALLY_REFUNDED;
+    this.adjustBalance(transaction.account, amount);
+    return paymentResult(id, transaction.status, amount);
+  }
+
+  // Cancels an authorization that has not been captured
+  void(id) {
+    const transaction = this.transactions.get(id);
+    const error = this.checkState(transaction, id, PaymentStatus.AUTHORIZED, {
+      [PaymentStatus.CAPTURED]: "ALREADY_CAPTURED",
+      [PaymentStatus.PARTIALLY_REFUNDED]: "ALREADY_CAPTURED",
+      [PaymentStatus.REFUNDED]: "ALREADY_CAPTURED",
+      [PaymentStatus.VOIDED]: "ALREADY_VOIDED",
+      [PaymentStatus.DECLINED]: "NOT_AUTHORIZED",
+    });
+    if (error) {
+      return error;
+    }
+    transaction.status = PaymentStatus.VOIDED;
+    return paymentResult(id, transaction.status, transaction.amount);
+  }
+
+  // Failed result if the transaction is missing or not in an allowed state
+  checkState(transaction, id, allowed, errorCodes) {
+    if (!transaction) {
+      return paymentResult(id, PaymentStatus.FAILED, 0, "UNKNOWN_TRANSACTION");
+    }
+    if ([].concat(allowed).includes(transaction.status)) {
+      return null;
+    }
+    return paymentResult(
+      id,
+      PaymentStatus.FAILED,
+      transaction.amount,
+      errorCodes[transaction.status],
+      `Transaction ${id} is ${transaction.status}`
+    );
+  }
+
+  // Captured minus refunded over all transactions of an account
+  netCaptured(account) {
+    let net = 0;
+    for (const transaction of this.transactions.values()) {
+      if (transaction.account === account) {
+        net += transaction.captured - transaction.refunded;
+      }
+    }
+    return net;
+  }
+
+  adjustBalance(account, delta) {
+    if (this.balances.has(account)) {
+      this.balances.set(account, this.balances.get(account) + delta);
+    }
+  }
+}
+
+const defaultGateway = new FakeGateway();
+
+// Thrown at construction time; code says which check failed
+class PaymentValidationError extends Error {
+  constructor(field, code, message) {
+    super(message);
+    this.name = "PaymentValidationError";
+    this.field = field;
+    this.code = code;
+  }
+}
+
+// Prefix patterns, allowed lengths and CVV length per card brand
+const CARD_BRANDS = {
+  visa: { pattern: /^4/, lengths: [13, 16, 19], cvvLength: 3 },
+  mastercard: {
+    pattern: /^(5[1-5]|2(22[1-9]|2[3-9]\d|[3-6]\d\d|7[01]\d|720))/,
+    lengths: [16],
+    cvvLength: 3,
+  },
+  amex: { pattern: /^3[47]/, lengths: [15], cvvLength: 4 },
+  discover: { pattern: /^(6011|65)/, lengths: [16], cvvLength: 3 },
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)+$/;
+
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// Returns { digits, brand } for a valid card number; spaces and dashes are ignored
+function validateCardNumber(cardNumber) {
+  const digits = String(cardNumber).replace(/[\s-]/g, "");
+  if (!/^\d{12,19}$/.test(digits) || !passesLuhn(digits)) {
+    throw new PaymentValidationError(
+      "cardNumber",
+      "INVALID_CARD_NUMBER",
+      "Card number is not valid"
+    );
+  }
+  const brand = Object.keys(CARD_BRANDS).find((name) =>
+    CARD_BRANDS[name].pattern.test(digits)
+  );
+  if (!brand || !CARD_BRANDS[brand].lengths.includes(digits.length)) {
+    throw new PaymentValidationError(
+      "cardNumber",
+      "UNSUPPORTED_CARD_BRAND",
+      "Card brand is not supported"
+    );
+  }
+  return { digits, brand };
+}
+
+// "MM/YY" or "MM/YYYY"; a card is valid through the last day of that month
+function validateExpiry(dateOfExpiry, now = new Date()) {
+  const match = /^(\d{2})\/(\d{2}|\d{4})$/.exec(String(dateOfExpiry));
+  const month = match && Number(match[1]);
+  if (!match || month < 1 || month > 12) {
+    throw new PaymentValidationError(
+      "dateOfExpiry",
+      "INVALID_EXPIRY",
+      "Expiry date must be MM/YY"
+    );
+  }
+  const year = Number(match[2].length === 2 ? `20${match[2]}` : match[2]);
+  if (new Date(year, month, 1) <= now) {
+    throw new PaymentValidationError(
+      "dateOfExpiry",
+      "CARD_EXPIRED",
+      `Card expired in ${dateOfExpiry}`
+    );
+  }
+  return `${match[1]}/${String(year).slice(-2)}`;
+}
+
+function validateCvv(cvv, brand) {
+  const { cvvLength } = CARD_BRANDS[brand];
+  if (!new RegExp(`^\\d{${cvvLength}}$`).test(String(cvv))) {
+    throw new PaymentValidationError(
+      "cvv",
+      "INVALID_CVV",
+      `CVV for ${brand} must be ${cvvLength} digits`
+    );
+  }
+  return String(cvv);
+}
+
+function validateEmail(email) {
+  if (typeof email !== "string" || !EMAIL_PATTERN.test(email)) {
+    throw new PaymentValidationError(
+      "email",
+      "INVALID_EMAIL",
+      "Email address is not valid"
+    );
+  }
+  return email.toLowerCase();
+}
+
+// Stable per card, so the same card always maps to the same gateway account
+function cardFingerprint(digits) {
+  return crypto.createHash("sha256").update(digits).digest("hex").slice(0, 16);
+}
+
+function maskCardNumber(digits) {
+  return `**** ${digits.slice(-4)}`;
+}
+
 // Strategy Interface
 class PaymentStrategy {
+  constructor(gateway = defaultGateway) {
+    this.gateway = gateway;
+  }
+
+  // Safe to log: subclasses only return non-secret or masked values
+  toJSON() {
+    return { method: this.constructor.name };
+  }
+
+  [util.inspect.custom](depth, options, inspect) {
+    return `${this.constructor.name} ${inspect(this.toJSON(), options)}`;
+  }
+
+  // Gateway account this strategy pays from
+  get account() {
+    throw new Error("account getter must be implemented");
+  }
+
+  describe() {
+    throw new Error("describe() method must be implemented");
+  }
+
+  authorize(amount) {
+    return this.gateway.authorize(amount, {
+      method: this.constructor.name,
+      account: this.account,
+    });
+  }
+
+  capture(transactionId, amount) {
+    return this.gateway.capture(transactionId, amount);
+  }
+
+  refund(transactionId, amount) {
+    return this.gateway.refund(transactionId, amount);
+  }
+
+  void(transactionId) {
+    return this.gateway.void(transactionId);
+  }
+
+  // Whether this strategy could pay the amount right now
+  canPay(amount) {
+    return typeof amount === "number" && Number.isFinite(amount) && amount > 0;
+  }
+
+  // Authorize and capture in one step
   pay(amount) {
-    throw new Error("pay() method must be implemented");
+    const authorization = this.authorize(amount);
+    if (authorization.status !== PaymentStatus.AUTHORIZED) {
+      return authorization;
+    }
+    return this.capture(authorization.transactionId);
   }
 }
 
 // Concrete Strategies
 class CreditCardStrategy extends PaymentStrategy {
-  constructor(cardNumber, cvv, dateOfExpiry) {
-    super();
-    this.cardNumber = cardNumber;
-    this.cvv = cvv;
-    this.dateOfExpiry = dateOfExpiry;
+  #cardNumber;
+  #cvv;
+
+  constructor(cardNumber, cvv, dateOfExpiry, gateway) {
+    super(gateway);
+    const { digits, brand } = validateCardNumber(cardNumber);
+    this.#cvv = validateCvv(cvv, brand);
+    this.#cardNumber = digits;
+    this.brand = brand;
+    this.dateOfExpiry = validateExpiry(dateOfExpiry);
   }
 
-  pay(amount) {
-    console.log(`Paid ${amount} using Credit Card: ${this.cardNumber}`);
+  get cardNumber() {
+    return maskCardNumber(this.#cardNumber);
+  }
+
+  // Opaque token: the gateway never sees the card number itself
+  get account() {
+    return `card:${cardFingerprint(this.#cardNumber)}`;
+  }
+
+  describe() {
+    return `Credit Card: ${this.cardNumber}`;
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      brand: this.brand,
+      cardNumber: this.cardNumber,
+      dateOfExpiry: this.dateOfExpiry,
+    };
   }
 }
 
 class PayPalStrategy extends PaymentStrategy {
-  constructor(email, password) {
-    super();
-    this.email = email;
-    this.password = password;
+  #password;
+
+  constructor(email, password, gateway) {
+    super(gateway);
+    this.email = validateEmail(email);
+    if (typeof password !== "string" || password === "") {
+      throw new PaymentValidationError(
+        "password",
+        "MISSING_PASSWORD",
+        "PayPal password is required"
+      );
+    }
+    this.#password = password;
   }
 
-  pay(amount) {
-    console.log(`Paid ${amount} using PayPal: ${this.email}`);
+  toJSON() {
+    return { ...super.toJSON(), email: this.email };
+  }
+
+  get account() {
+    return `paypal:${this.email}`;
+  }
+
+  describe() {
+    return `PayPal: ${this.email}`;
   }
 }
 
 class CashStrategy extends PaymentStrategy {
-  constructor(cashAmount) {
-    super();
-    this.cashAmount = cashAmount;
+  static nextDrawer = 1;
+
+  constructor(cashAmount, gateway) {
+    super(gateway);
+    if (!(typeof cashAmount === "number" && cashAmount >= 0)) {
+      throw new PaymentValidationError(
+        "cashAmount",
+        "INVALID_AMOUNT",
+        "Cash amount must be a non-negative number"
+      );
+    }
+    this.drawer = `cash:${CashStrategy.nextDrawer++}`;
+    this.gateway.openAccount(this.drawer, cashAmount);
   }
 
-  pay(amount) {
-    if (amount > this.cashAmount) {
-      throw new Error("Insufficient cash amount");
+  get account() {
+    return this.drawer;
+  }
+
+  get cashAmount() {
+    return this.gateway.balanceOf(this.drawer);
+  }
+
+  canPay(amount) {
+    return (
+      super.canPay(amount) && amount <= this.gateway.available(this.drawer)
+    );
+  }
+
+  describe() {
+    return "Cash";
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), cashAmount: this.cashAmount };
+  }
+
+  authorize(amount) {
+    const result = super.authorize(amount);
+    if (result.errorCode !== "INSUFFICIENT_FUNDS") {
+      return result;
     }
-    this.cashAmount -= amount;
-    console.log(
-      `Paid ${amount} using Cash.`,
-      `Cash amount remaining: ${this.cashAmount}`
+    return paymentResult(
+      result.transactionId,
+      result.status,
+      amount,
+      result.errorCode,
+      "Insufficient cash amount"
     );
   }
 }
 
+// Each rule returns true or the reason a registered strategy is not eligible
+const SELECTION_RULES = [
+  ({ enabled }) => enabled || "disabled",
+  ({ minAmount }, { amount }) =>
+    minAmount === undefined ||
+    amount >= minAmount ||
+    `amount ${amount} is below the minimum of ${minAmount}`,
+  ({ maxAmount }, { amount }) =>
+    maxAmount === undefined ||
+    amount <= maxAmount ||
+    `amount ${amount} is above the maximum of ${maxAmount}`,
+  ({ currencies }, { currency }) =>
+    currencies === undefined ||
+    currencies.includes(currency) ||
+    `currency ${currency} is not accepted`,
+  ({ regions }, { region }) =>
+    regions === undefined ||
+    regions.includes(region) ||
+    `region ${region} is not served`,
+  ({ strategy }, { amount }) =>
+    strategy.canPay(amount) || `${strategy.describe()} cannot pay ${amount}`,
+];
+
+// Named strategies with their selection rules, kept in preference order
+class PaymentStrategyRegistry {
+  constructor() {
+    this.entries = new Map(); // name -> { name, strategy, enabled, ...rules }
+  }
+
+  // rules: { minAmount, maxAmount, currencies, regions, enabled }
+  register(name, strategy, rules = {}) {
+    if (this.entries.has(name)) {
+      throw new Error(`Payment strategy "${name}" is already registered`);
+    }
+    if (!(strategy instanceof PaymentStrategy)) {
+      throw new Error(`"${name}" must be a PaymentStrategy`);
+    }
+    this.entries.set(name, { enabled: true, ...rules, name, strategy });
+    return this;
+  }
+
+  unregister(name) {
+    return this.entries.delete(name);
+  }
+
+  has(name) {
+    return this.entries.has(name);
+  }
+
+  get(name) {
+    const entry = this.entries.get(name);
+    if (!entry) {
+      throw new Error(`Payment strategy "${name}" is not registered`);
+    }
+    return entry.strategy;
+  }
+
+  list() {
+    return [...this.entries.keys()];
+  }
+
+  setEnabled(name, enabled) {
+    this.get(name);
+    this.entries.get(name).enabled = enabled;
+  }
+}
+
+class StrategySelector {
+  constructor(registry) {
+    this.registry = registry;
+  }
+
+  // Returns { name, strategy, decisions: [{ name, selected, reason }] };
+  // name and strategy are null when nothing is eligible
+  select({ amount, currency, region }) {
+    const request = { amount, currency, region };
+    const decisions = [];
+    let chosen = null;
+    for (const entry of this.registry.entries.values()) {
+      const failure = SELECTION_RULES.map((rule) => rule(entry, request)).find(
+        (outcome) => outcome !== true
+      );
+      let reason = failure;
+      if (!failure) {
+        reason = chosen
+          ? `eligible, but "${chosen.name}" is preferred`
+          : "first eligible strategy";
+      }
+      if (!failure && !chosen) {
+        chosen = entry;
+      }
+      decisions.push({ name: entry.name, selected: entry === chosen, reason });
+    }
+    return {
+      name: chosen ? chosen.name : null,
+      strategy: chosen ? chosen.strategy : null,
+      decisions,
+    };
+  }
+}
+
+// Append-only record of checkout activity. Entries are frozen and get a
+// sequence number; nothing is ever updated or removed.
+class PaymentLedger {
+  constructor() {
+    this.entries = [];
+  }
+
+  // entry: { type: "payment" | "refund" | "failure" | "amount_changed" |
+  // "checkout", ... }
+  append(entry) {
+    const recorded = Object.freeze({
+      sequence: this.entries.length + 1,
+      at: new Date().toISOString(),
+      ...entry,
+    });
+    this.entries.push(recorded);
+    return recorded;
+  }
+
+  find(predicate) {
+    return this.entries.find(predicate);
+  }
+
+  // Payments minus refunds recorded for one strategy account
+  netFor(account) {
+    return this.entries.reduce((net, entry) => {
+      if (entry.account !== account) return net;
+      if (entry.type === "payment") return net + entry.amount;
+      if (entry.type === "refund") return net - entry.amount;
+      return net;
+    }, 0);
+  }
+
+  // Compares ledger totals with what each strategy's gateway settled
+  reconcile(strategies) {
+    const rows = strategies.map((strategy) => {
+      const { account } = strategy;
+      const ledger = this.netFor(account);
+      const gateway = strategy.gateway.netCaptured(account);
+      return {
+        method: strategy.describe(),
+        account,
+        ledger,
+        gateway,
+        difference: gateway - ledger,
+      };
+    });
+    return { balanced: rows.every((row) => row.difference === 0), rows };
+  }
+}
+
+// Ledger persisted as one JSON object per line; existing entries are loaded
+class JsonlPaymentLedger extends PaymentLedger {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    if (!fs.existsSync(filePath)) {
+      return;
+    }
+    const content = fs.readFileSync(filePath, "utf8");
+    const lines = content.split("\n");
+    // Anything after the last newline is a record cut short by a crash; drop
+    // it from disk as well so the next append starts on a fresh line
+    const partial = lines.pop();
+    if (partial !== "") {
+      fs.truncateSync(
+        filePath,
+        Buffer.byteLength(content) - Buffer.byteLength(partial)
+      );
+    }
+    this.entries = lines.map((line, index) => {
+      try {
+        return Object.freeze(JSON.parse(line));
+      } catch (error) {
+        throw new Error(
+          `Corrupt payment ledger ${filePath} at line ${index + 1}: ${
+            error.message
+          }`
+        );
+      }
+    });
+  }
+
+  append(entry) {
+    const recorded = super.append(entry);
+    fs.appendFileSync(this.filePath, `${JSON.stringify(recorded)}\n`);
+    return recorded;
+  }
+}
+
+// Amounts have at most two decimals; compare and subtract them as cents
+function toCents(amount) {
+  return Math.round(amount * 100);
+}
+
+// Every retry of a key gets the same summary, so it is read-only; strategies
+// inside the payment lines are left alone
+function freezeSummary(summary) {
+  for (const list of ["payments", "attempts", "refunds"]) {
+    summary[list].forEach((line) => Object.freeze(line));
+    Object.freeze(summary[list]);
+  }
+  return Object.freeze(summary);
+}
+
 // Context
 class ShoppingCart {
-  constructor(paymentStrategy) {
-    this.paymentStrategy = paymentStrategy;
+  constructor(paymentStrategy, { ledger = new PaymentLedger() } = {}) {
     this.amount = 0;
+    this.ledger = ledger;
+    this.checkouts = new Map(); // idempotency key -> { request, summary }
+    this.checkoutId = null;
+    this.paymentPlan = [];
+    if (paymentStrategy) {
+      this.setPaymentStrategy(paymentStrategy);
+    }
   }
 
+  // A single strategy, or an array of fallbacks tried in order
   setPaymentStrategy(paymentStrategy) {
-    this.paymentStrategy = paymentStrategy;
+    this.setPaymentPlan([{ strategy: paymentStrategy }]);
+  }
+
+  // parts: [{ strategy, amount }], where strategy may also be a fallback
+  // array. At most one part may leave out amount; it pays the remainder.
+  setPaymentPlan(parts) {
+    if (parts.filter((part) => part.amount === undefined).length > 1) {
+      throw new Error("Only one payment part may leave out its amount");
+    }
+    parts.forEach(({ strategy, amount }, index) => {
+      const strategies = [].concat(strategy);
+      if (
+        strategies.length === 0 ||
+        !strategies.every((item) => item instanceof PaymentStrategy)
+      ) {
+        throw new Error(
+          `Payment part ${
+            index + 1
+          } needs one or more PaymentStrategy instances`
+        );
+      }
+      if (
+        amount !== undefined &&
+        !(typeof amount === "number" && Number.isFinite(amount) && amount >= 0)
+      ) {
+        throw new Error(
+          `Payment part ${index + 1} amount must be a non-negative number`
+        );
+      }
+    });
+    this.paymentPlan = parts.map(({ strategy, amount }) => ({
+      strategies: [].concat(strategy),
+      amount,
+    }));
+    this.resetCheckout();
+  }
+
+  // Starts a new purchase: the next checkout() without a key pays again
+  resetCheckout() {
+    this.checkoutId = null;
+  }
+
+  // What an idempotency key is bound to: the amount and the plan
+  checkoutRequest() {
+    return JSON.stringify({
+      amount: this.amount,
+      plan: this.paymentPlan.map(({ strategies, amount }) => ({
+        amount,
+        accounts: strategies.map((strategy) => strategy.account),
+      })),
+    });
+  }
+
+  // Amount of each plan part for the current total, or null if they do not
+  // add up. Sums run in cents so 0.10 + 0.20 really is 0.30.
+  splitAmount() {
+    const fixed = this.paymentPlan.reduce(
+      (sum, part) => sum + toCents(part.amount || 0),
+      0
+    );
+    const remainder = toCents(this.amount) - fixed;
+    const hasOpenPart = this.paymentPlan.some(
+      (part) => part.amount === undefined
+    );
+    if (remainder < 0 || (remainder > 0 && !hasOpenPart)) {
+      return null;
+    }
+    return this.paymentPlan.map((part) =>
+      part.amount === undefined ? remainder / 100 : part.amount
+    );
+  }
+
+  // Returns { idempotencyKey, status, amount, payments, attempts, refunds,
+  // errorCode }; payments lists what each strategy paid. Repeating a key
+  // returns the first result that moved money, also across restarts with a
+  // file ledger; a key reused for another amount or plan fails with
+  // IDEMPOTENCY_KEY_REUSED. The returned summary is frozen.
+  checkout({ idempotencyKey } = {}) {
+    if (idempotencyKey === undefined) {
+      this.checkoutId = this.checkoutId || crypto.randomUUID();
+      idempotencyKey = this.checkoutId;
+    }
+    const request = this.checkoutRequest();
+    const previous =
+      this.checkouts.get(idempotencyKey) ||
+      this.ledger.find(
+        (entry) =>
+          entry.type === "checkout" &&
+          entry.movedMoney &&
+          entry.idempotencyKey === idempotencyKey
+      );
+    if (previous && previous.request !== request) {
+      console.log(
+        `Checkout ${idempotencyKey} already ran for a different amount or plan`
+      );
+      this.ledger.append({
+        type: "failure",
+        idempotencyKey,
+        amount: this.amount,
+        errorCode: "IDEMPOTENCY_KEY_REUSED",
+      });
+      return freezeSummary({
+        idempotencyKey,
+        status: "failed",
+        amount: this.amount,
+        payments: [],
+        attempts: [],
+        refunds: [],
+        errorCode: "IDEMPOTENCY_KEY_REUSED",
+      });
+    }
+    if (previous) {
+      console.log(`Checkout ${idempotencyKey} already ran, not paying again`);
+      return freezeSummary(previous.summary);
+    }
+    const summary = freezeSummary(this.pay(idempotencyKey));
+    // Only outcomes that moved money bind the key. A checkout that captured
+    // nothing (a decline, say) can be retried with the same key once the
+    // cause is fixed, e.g. after topping up a cash drawer.
+    const movedMoney = summary.payments.length > 0;
+    if (movedMoney) {
+      this.checkouts.set(idempotencyKey, { request, summary });
+    }
+    this.ledger.append({
+      type: "checkout",
+      idempotencyKey,
+      request,
+      movedMoney,
+      summary: JSON.parse(JSON.stringify(summary)),
+    });
+    return summary;
   }
 
-  checkout() {
-    this.paymentStrategy.pay(this.amount);
+  pay(idempotencyKey) {
+    const summary = {
+      idempotencyKey,
+      status: "failed",
+      amount: this.amount,
+      payments: [], // [{ strategy, method, amount, transactionId }]
+      attempts: [], // every pay() call, including declines
+      refunds: [],
+      errorCode: null,
+    };
+    const amounts = this.splitAmount();
+    let problem = null;
+    if (this.paymentPlan.length === 0) {
+      problem = {
+        errorCode: "NO_ELIGIBLE_STRATEGY",
+        message: "No payment strategy is set or eligible",
+      };
+    } else if (!amounts) {
+      problem = {
+        errorCode: "SPLIT_MISMATCH",
+        message: `Payment parts do not add up to ${this.amount}`,
+      };
+    }
+    if (problem) {
+      summary.errorCode = problem.errorCode;
+      console.log(problem.message);
+      this.ledger.append({
+        type: "failure",
+        idempotencyKey,
+        amount: this.amount,
+        errorCode: summary.errorCode,
+      });
+      return summary;
+    }
+
+    for (const [index, part] of this.paymentPlan.entries()) {
+      if (amounts[index] === 0) {
+        continue;
+      }
+      const payment = this.payPart(part.strategies, amounts[index], summary);
+      if (!payment) {
+        // setPaymentPlan() guarantees every chain made at least one attempt
+        summary.errorCode =
+          summary.attempts[summary.attempts.length - 1].errorCode;
+        summary.refunds = this.refundAll(summary.payments, idempotencyKey);
+        return summary;
+      }
+      summary.payments.push(payment);
+    }
+    summary.status = "paid";
+    return summary;
+  }
+
+  // Tries each strategy of a fallback chain until one pays
+  payPart(strategies, amount, summary) {
+    for (const strategy of strategies) {
+      const result = strategy.pay(amount);
+      const method = strategy.describe();
+      const { transactionId, status, errorCode, message } = result;
+      summary.attempts.push({
+        method,
+        amount,
+        transactionId,
+        status,
+        errorCode,
+      });
+      this.ledger.append({
+        type: errorCode ? "failure" : "payment",
+        idempotencyKey: summary.idempotencyKey,
+        account: strategy.account,
+        method,
+        amount,
+        transactionId,
+        errorCode,
+      });
+      if (!errorCode) {
+        console.log(`Paid ${amount} using ${method} [${transactionId}]`);
+        return { strategy, method, amount, transactionId };
+      }
+      console.log(
+        `Payment of ${amount} using ${method} ${status}:`,
+        `${errorCode} (${message})`
+      );
+    }
+    return null;
+  }
+
+  // Refunds in reverse order of payment
+  refundAll(payments, idempotencyKey) {
+    return [...payments]
+      .reverse()
+      .map(({ strategy, method, amount, transactionId }) => {
+        const result = strategy.refund(transactionId);
+        this.ledger.append({
+          type: result.errorCode ? "failure" : "refund",
+          idempotencyKey,
+          account: strategy.account,
+          method,
+          amount,
+          transactionId,
+          errorCode: result.errorCode,
+        });
+        console.log(
+          `Refunded ${amount} to ${method} [${transactionId}]:`,
+          result.errorCode || result.status
+        );
+        return {
+          method,
+          amount,
+          transactionId,
+          status: result.status,
+          errorCode: result.errorCode,
+        };
+      });
+  }
+
+  // Lets the selector pick a strategy for the current amount. When nothing is
+  // eligible the plan is cleared, so checkout() fails with NO_ELIGIBLE_STRATEGY
+  // instead of charging a strategy the selector rejected.
+  selectPaymentStrategy(selector, { currency, region } = {}) {
+    const selection = selector.select({
+      amount: this.amount,
+      currency,
+      region,
+    });
+    if (selection.strategy) {
+      this.setPaymentStrategy(selection.strategy);
+    } else {
+      this.setPaymentPlan([]);
+    }
+    return selection;
   }
 
   setAmount(amount) {
+    if (amount !== this.amount) {
+      this.ledger.append({
+        type: "amount_changed",
+        from: this.amount,
+        to: amount,
+      });
+      this.resetCheckout();
+    }
     this.amount = amount;
   }
 }
 
 console.log("Example 2: With Strategy Pattern");
 
-const creditCardStrategy = new CreditCardStrategy("1234-5678", "123", "12/25");
+const creditCardStrategy = new CreditCardStrategy(
+  "4111 1111 1111 1111",
+  "123",
+  "12/30"
+);
 const paypalStrategy = new PayPalStrategy("example@email.com", "password");
 const cashStrategy = new CashStrategy(500);
 
@@ -135,7 +1118,283 @@ cart.checkout();
 cart.setPaymentStrategy(cashStrategy);
 cart.setAmount(300);
 cart.checkout();
+console.log(`Cash amount remaining: ${cashStrategy.cashAmount}`);
 
 cart.setPaymentStrategy(creditCardStrategy);
 cart.setAmount(400);
 cart.checkout();
+
+// Not enough cash left: a declined result instead of an exception
+cart.setPaymentStrategy(cashStrategy);
+cart.setAmount(300);
+cart.checkout();
+
+console.log("--------------------------------");
+console.log("Example 3: Payment lifecycle");
+
+const gateway = new FakeGateway();
+const card = new CreditCardStrategy(
+  "4242424242424242",
+  "123",
+  "12/30",
+  gateway
+);
+const show = (step, result) =>
+  console.log(
+    `${step.padEnd(22)} ${result.transactionId} ${result.status}`,
+    result.errorCode ? `${result.errorCode}: ${result.message}` : result.amount
+  );
+
+const authorization = card.authorize(250);
+show("authorize 250", authorization);
+show("capture", card.capture(authorization.transactionId));
+show("capture again", card.capture(authorization.transactionId));
+show("refund 100", card.refund(authorization.transactionId, 100));
+show("refund 200", card.refund(authorization.transactionId, 200));
+show("refund rest", card.refund(authorization.transactionId));
+show("void after capture", card.void(authorization.transactionId));
+
+const hold = card.authorize(80);
+show("authorize 80", hold);
+show("void", card.void(hold.transactionId));
+show("capture voided", card.capture(hold.transactionId));
+
+const declined = new CreditCardStrategy(
+  "4000000000000002",
+  "123",
+  "12/30",
+  gateway
+);
+gateway.declineAccount(declined.account);
+show("pay with declined card", declined.pay(50));
+show("refund unknown", card.refund("T9999"));
+
+console.log("--------------------------------");
+console.log("Example 4: Validation and masking");
+
+// Secrets are private fields; logs and JSON only show masked values
+console.log(creditCardStrategy);
+console.log(paypalStrategy);
+console.log(JSON.stringify(creditCardStrategy));
+
+const invalidInputs = [
+  () => new CreditCardStrategy("4111 1111 1111 1112", "123", "12/30"),
+  () => new CreditCardStrategy("4111 1111 1111 1111", "123", "01/20"),
+  () => new CreditCardStrategy("3782 822463 10005", "123", "12/30"),
+  () => new PayPalStrategy("not-an-email", "password"),
+  () => new CashStrategy(-5),
+];
+for (const create of invalidInputs) {
+  try {
+    create();
+  } catch (error) {
+    console.log(
+      `${error.name} [${error.field}/${error.code}]: ${error.message}`
+    );
+  }
+}
+
+console.log("--------------------------------");
+console.log("Example 5: Split payments and fallbacks");
+
+// What each strategy paid, or what was handed back on failure
+const report = ({ status, payments, refunds, errorCode }) => {
+  const lines = status === "paid" ? payments : refunds;
+  const parts = lines.map(({ method, amount }) => `${method} = ${amount}`);
+  console.log(
+    status === "paid" ? "=> paid:" : `=> failed with ${errorCode}, refunded:`,
+    parts.join(", ") || "nothing"
+  );
+};
+
+// Pay 300 in cash and the rest by card
+const wallet = new CashStrategy(300);
+const splitCart = new ShoppingCart();
+splitCart.setAmount(1000);
+splitCart.setPaymentPlan([
+  { strategy: wallet, amount: 300 },
+  { strategy: creditCardStrategy },
+]);
+report(splitCart.checkout());
+
+// Cash is gone and the card declines, so PayPal takes over
+splitCart.setPaymentStrategy([wallet, declined, paypalStrategy]);
+splitCart.setAmount(150);
+report(splitCart.checkout());
+
+// The second part fails everywhere, so the card part is refunded
+splitCart.setPaymentPlan([
+  { strategy: card, amount: 100 },
+  { strategy: [declined, wallet] },
+]);
+splitCart.setAmount(400);
+const rolledBack = splitCart.checkout();
+report(rolledBack);
+const [refund] = rolledBack.refunds;
+console.log(
+  `Card transaction ${refund.transactionId}:`,
+  gateway.transaction(refund.transactionId).status
+);
+
+// Decimal splits must add up exactly
+const centsCart = new ShoppingCart();
+centsCart.setPaymentPlan([
+  { strategy: new CashStrategy(1), amount: 0.1 },
+  { strategy: new CashStrategy(1) },
+]);
+centsCart.setAmount(0.3);
+assert.deepStrictEqual(centsCart.splitAmount(), [0.1, 0.2]);
+centsCart.setPaymentPlan([
+  { strategy: wallet, amount: 0.1 },
+  { strategy: wallet, amount: 0.2 },
+]);
+assert.deepStrictEqual(centsCart.splitAmount(), [0.1, 0.2]);
+centsCart.setPaymentPlan([
+  { strategy: wallet, amount: 10.02 },
+  { strategy: creditCardStrategy },
+]);
+centsCart.setAmount(19.99);
+assert.deepStrictEqual(centsCart.splitAmount(), [10.02, 9.97]);
+console.log("Decimal split checks passed");
+
+console.log("--------------------------------");
+console.log("Example 6: Registry and rule-based selection");
+
+const registry = new PaymentStrategyRegistry()
+  .register("cash", new CashStrategy(200), { regions: ["US"] })
+  .register("card", creditCardStrategy, {
+    minAmount: 1,
+    maxAmount: 5000,
+    currencies: ["USD", "EUR"],
+  })
+  .register("paypal", paypalStrategy, {
+    maxAmount: 10000,
+    currencies: ["USD", "EUR", "GBP"],
+  });
+const selector = new StrategySelector(registry);
+const autoCart = new ShoppingCart();
+
+for (const [amount, currency, region] of [
+  [120, "USD", "US"],
+  [450, "USD", "US"],
+  [450, "GBP", "UK"],
+  [20000, "USD", "US"],
+]) {
+  autoCart.setAmount(amount);
+  const { name, decisions } = autoCart.selectPaymentStrategy(selector, {
+    currency,
+    region,
+  });
+  console.log(`${amount} ${currency} in ${region} -> ${name || "none"}`);
+  decisions.forEach((decision) =>
+    console.log(
+      `  ${decision.selected ? "*" : " "} ${decision.name}: ${decision.reason}`
+    )
+  );
+  autoCart.checkout();
+}
+
+registry.setEnabled("cash", false);
+autoCart.setAmount(50);
+console.log(
+  "Cash disabled ->",
+  autoCart.selectPaymentStrategy(selector, { currency: "USD", region: "US" })
+    .name
+);
+
+console.log("--------------------------------");
+console.log("Example 7: Idempotent checkout and ledger");
+
+const ledgerFile = path.join(
+  os.tmpdir(),
+  `payment-ledger-${process.pid}.jsonl`
+);
+const ledgerGateway = new FakeGateway();
+const ledgerCard = new CreditCardStrategy(
+  "5555 5555 5555 4444",
+  "321",
+  "12/30",
+  ledgerGateway
+);
+const ledgerCash = new CashStrategy(100, ledgerGateway);
+const ledgerCart = new ShoppingCart(ledgerCard, {
+  ledger: new JsonlPaymentLedger(ledgerFile),
+});
+
+ledgerCart.setAmount(250);
+const first = ledgerCart.checkout({ idempotencyKey: "order-1001" });
+// A retry with the same key, e.g. after a timeout, does not charge again
+const retry = ledgerCart.checkout({ idempotencyKey: "order-1001" });
+console.log("Same result returned:", retry === first);
+
+// The same key for a different amount is a mistake, not a retry
+ledgerCart.setAmount(80);
+console.log(
+  "Key reused at 80:",
+  ledgerCart.checkout({ idempotencyKey: "order-1001" }).errorCode
+);
+
+ledgerCart.setPaymentPlan([
+  { strategy: ledgerCash, amount: 60 },
+  { strategy: ledgerCard },
+]);
+ledgerCart.setAmount(120);
+ledgerCart.checkout({ idempotencyKey: "order-1002" });
+
+// A restarted cart reading the same file still knows order-1001
+const restarted = new ShoppingCart(ledgerCard, {
+  ledger: new JsonlPaymentLedger(ledgerFile),
+});
+restarted.setAmount(250);
+console.log(
+  "After restart:",
+  restarted.checkout({ idempotencyKey: "order-1001" }).status
+);
+
+// Without a key, calling checkout() twice still pays once
+const tipJar = new CashStrategy(50, ledgerGateway);
+restarted.setPaymentStrategy(tipJar);
+restarted.setAmount(30);
+restarted.checkout();
+restarted.checkout();
+console.log("Tip jar after two checkout() calls:", tipJar.cashAmount);
+
+function describeEntry(entry) {
+  if (entry.type === "amount_changed") {
+    return `${entry.from} -> ${entry.to}`;
+  }
+  if (entry.type === "checkout") {
+    return `${entry.idempotencyKey} ${entry.summary.status}`;
+  }
+  return [entry.idempotencyKey, entry.method, entry.amount, entry.errorCode]
+    .filter((part) => part !== undefined && part !== null)
+    .join(" ");
+}
+
+console.log("Ledger:");
+restarted.ledger.entries.forEach((entry) =>
+  console.log(`  #${entry.sequence} ${entry.type}`, describeEntry(entry))
+);
+
+const showReconciliation = ({ balanced, rows }) => {
+  rows.forEach(({ method, account, ledger, gateway, difference }) =>
+    console.log(
+      `  ${method} (${account}): ledger ${ledger}, gateway ${gateway},`,
+      `difference ${difference}`
+    )
+  );
+  console.log(`  balanced: ${balanced}`);
+};
+console.log("Reconciliation:");
+showReconciliation(
+  restarted.ledger.reconcile([ledgerCard, ledgerCash, tipJar])
+);
+
+// A payment made around the cart shows up as a difference
+ledgerCash.pay(15);
+console.log("Reconciliation after an unrecorded cash payment:");
+showReconciliation(
+  restarted.ledger.reconcile([ledgerCard, ledgerCash, tipJar])
+);
+
+fs.rmSync(ledgerFile, { force: true });